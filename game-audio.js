@@ -0,0 +1,260 @@
+/**
+ * Dino Run Audio
+ * Sound effects and a chiptune loop synthesised with the Web Audio API, so
+ * the game ships no audio files. Nothing plays until unlock() is called from
+ * a user gesture, which keeps browsers' autoplay rules happy.
+ */
+
+(function(root) {
+  'use strict';
+
+  const SETTINGS_KEY = 'dinoAudio';
+  const DEFAULT_SETTINGS = { volume: 0.5, muted: false, music: true };
+
+  // Music: eighth notes at this tempo when the game runs at its base speed
+  const MUSIC_BPM = 132;
+  const MAX_TEMPO_SCALE = 1.8;
+  const SCHEDULE_AHEAD = 0.12;
+  const SCHEDULER_INTERVAL_MS = 25;
+
+  // MIDI note numbers, 0 for a rest
+  const MELODY = [
+    72, 0, 76, 79, 76, 0, 72, 74, 76, 0, 74, 72, 67, 0, 69, 71,
+    72, 0, 76, 79, 81, 79, 76, 74, 72, 74, 76, 74, 72, 0, 0, 0
+  ];
+  const BASS = [
+    48, 0, 48, 0, 55, 0, 55, 0, 53, 0, 53, 0, 55, 0, 55, 0,
+    48, 0, 48, 0, 57, 0, 57, 0, 53, 0, 55, 0, 48, 0, 0, 0
+  ];
+
+  let ctx = null;
+  let master = null;
+  let musicBus = null;
+  let noiseBuffer = null;
+  let settings = loadSettings();
+  let musicTimer = null;
+  let nextNoteTime = 0;
+  let noteIndex = 0;
+  let tempoScale = 1;
+
+  function loadSettings() {
+    try {
+      return Object.assign({}, DEFAULT_SETTINGS, JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+    } catch (e) {
+      return Object.assign({}, DEFAULT_SETTINGS);
+    }
+  }
+
+  function saveSettings() {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }
+
+  /**
+   * Create (or wake) the audio context. Must be called from an input handler;
+   * until then every other call is a silent no-op.
+   */
+  function unlock() {
+    const AudioContext = root.AudioContext || root.webkitAudioContext;
+    if (!AudioContext) return;
+
+    if (!ctx) {
+      ctx = new AudioContext();
+      master = ctx.createGain();
+      master.connect(ctx.destination);
+      musicBus = ctx.createGain();
+      musicBus.gain.value = 0.5;
+      musicBus.connect(master);
+      applyVolume();
+    }
+    if (ctx.state === 'suspended') ctx.resume();
+  }
+
+  function isReady() {
+    return !!ctx && ctx.state === 'running';
+  }
+
+  function applyVolume() {
+    if (master) master.gain.value = settings.muted ? 0 : settings.volume;
+  }
+
+  function tone(options) {
+    const start = ctx.currentTime + (options.delay || 0);
+    const end = start + options.duration;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+
+    osc.type = options.type || 'square';
+    osc.frequency.setValueAtTime(options.from, start);
+    if (options.to) osc.frequency.exponentialRampToValueAtTime(options.to, end);
+    gain.gain.setValueAtTime(options.volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    osc.connect(gain);
+    gain.connect(options.destination || master);
+    osc.start(start);
+    osc.stop(end + 0.02);
+  }
+
+  function noise(duration, volume, cutoff) {
+    if (!noiseBuffer) {
+      noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+
+    const start = ctx.currentTime;
+    const source = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const gain = ctx.createGain();
+
+    source.buffer = noiseBuffer;
+    filter.type = 'lowpass';
+    filter.frequency.value = cutoff;
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(master);
+    source.start(start);
+    source.stop(start + duration);
+  }
+
+  const SOUNDS = {
+    jump() {
+      tone({ from: 330, to: 660, duration: 0.12, volume: 0.12 });
+    },
+
+    land() {
+      noise(0.08, 0.2, 600);
+      tone({ type: 'triangle', from: 140, to: 60, duration: 0.1, volume: 0.2 });
+    },
+
+    score() {
+      tone({ from: 988, duration: 0.06, volume: 0.08 });
+      tone({ from: 1319, duration: 0.1, volume: 0.08, delay: 0.06 });
+    },
+
+    pickup() {
+      tone({ type: 'triangle', from: 523.25, to: 1046.5, duration: 0.2, volume: 0.15 });
+      tone({ type: 'triangle', from: 784, to: 1568, duration: 0.2, volume: 0.1, delay: 0.05 });
+    },
+
+    coin() {
+      tone({ from: 1319, duration: 0.05, volume: 0.07 });
+      tone({ from: 1760, duration: 0.12, volume: 0.07, delay: 0.05 });
+    },
+
+    shield() {
+      noise(0.2, 0.25, 3000);
+      tone({ from: 880, to: 220, duration: 0.25, volume: 0.12 });
+    },
+
+    milestone() {
+      [523.25, 659.25, 783.99, 1046.5].forEach((freq, i) => {
+        tone({ type: 'triangle', from: freq, duration: 0.18, volume: 0.18, delay: i * 0.08 });
+      });
+    },
+
+    // Assist mode warnings: rising for something to jump, falling for something to duck
+    cueJump() {
+      tone({ type: 'triangle', from: 440, to: 880, duration: 0.15, volume: 0.2 });
+    },
+
+    cueDuck() {
+      tone({ type: 'triangle', from: 880, to: 330, duration: 0.15, volume: 0.2 });
+    },
+
+    death() {
+      tone({ type: 'sawtooth', from: 440, to: 55, duration: 0.6, volume: 0.18 });
+      noise(0.3, 0.25, 1200);
+    }
+  };
+
+  function play(name) {
+    if (!isReady() || !SOUNDS[name]) return;
+    SOUNDS[name]();
+  }
+
+  function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+  }
+
+  // Lookahead scheduler: queue notes slightly ahead on the audio clock
+  function scheduleMusic() {
+    if (!isReady()) return;
+
+    const step = 60 / (MUSIC_BPM * tempoScale) / 2;
+    if (nextNoteTime < ctx.currentTime) nextNoteTime = ctx.currentTime;
+
+    while (nextNoteTime < ctx.currentTime + SCHEDULE_AHEAD) {
+      const delay = nextNoteTime - ctx.currentTime;
+      const lead = MELODY[noteIndex % MELODY.length];
+      const bass = BASS[noteIndex % BASS.length];
+
+      if (lead) {
+        tone({ from: midiToFrequency(lead), duration: step * 0.9, volume: 0.07, delay, destination: musicBus });
+      }
+      if (bass) {
+        tone({ type: 'triangle', from: midiToFrequency(bass), duration: step * 1.8, volume: 0.15, delay, destination: musicBus });
+      }
+
+      nextNoteTime += step;
+      noteIndex++;
+    }
+  }
+
+  function startMusic() {
+    if (!settings.music || musicTimer !== null || !ctx) return;
+    noteIndex = 0;
+    nextNoteTime = ctx.currentTime;
+    musicTimer = setInterval(scheduleMusic, SCHEDULER_INTERVAL_MS);
+    scheduleMusic();
+  }
+
+  function stopMusic() {
+    if (musicTimer === null) return;
+    clearInterval(musicTimer);
+    musicTimer = null;
+  }
+
+  // 1 is the base tempo; the game passes speed / baseSpeed
+  function setTempo(scale) {
+    tempoScale = Math.max(1, Math.min(MAX_TEMPO_SCALE, scale));
+  }
+
+  function getSettings() {
+    return Object.assign({}, settings);
+  }
+
+  function setVolume(volume) {
+    settings.volume = Math.max(0, Math.min(1, volume));
+    settings.muted = settings.volume === 0;
+    applyVolume();
+    saveSettings();
+  }
+
+  function setMuted(muted) {
+    settings.muted = !!muted;
+    applyVolume();
+    saveSettings();
+  }
+
+  function setMusicEnabled(enabled) {
+    settings.music = !!enabled;
+    if (!settings.music) stopMusic();
+    saveSettings();
+  }
+
+  root.DinoAudio = {
+    unlock,
+    play,
+    startMusic,
+    stopMusic,
+    setTempo,
+    getSettings,
+    setVolume,
+    setMuted,
+    setMusicEnabled
+  };
+})(window);
@@ -0,0 +1,144 @@
+/**
+ * Dino Run 2D Renderer
+ * A flat side view of the same simulation for browsers without WebGL. Shapes
+ * come straight from the simulation's hitboxes, so what you see is exactly
+ * what collides. In lane mode each lane gets its own ground line, the far
+ * ones higher up.
+ */
+
+(function(root) {
+  'use strict';
+
+  // World units from the bottom to the top of the view
+  const VIEW_HEIGHT = 9;
+  // Ground sits this far down the canvas
+  const GROUND_AT = 0.78;
+  // Screen lift per unit of depth, so lanes stack up the screen
+  const DEPTH_LIFT = 0.35;
+  const DASH_SPACING = 4;
+
+  function toCss(hex) {
+    return '#' + ('00000' + hex.toString(16)).slice(-6);
+  }
+
+  /**
+   * Draw into `canvas`. `pickupColors` maps pickup types to hex colours;
+   * everything else comes with each frame's view: the simulation and
+   * interpolation alpha, theme colours, and the dino, ghost and particles as
+   * game.js currently shows them.
+   */
+  function createRenderer(canvas, pickupColors) {
+    const Sim = root.DinoSim;
+    const ctx = canvas.getContext('2d');
+    let width = 0;
+    let height = 0;
+
+    function setSize(cssWidth, cssHeight, pixelRatio) {
+      width = cssWidth;
+      height = cssHeight;
+      canvas.width = Math.round(cssWidth * pixelRatio);
+      canvas.height = Math.round(cssHeight * pixelRatio);
+      ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    }
+
+    function render(view) {
+      const sim = view.sim;
+      const colors = view.colors;
+      const scale = height / VIEW_HEIGHT;
+      const groundY = Sim.CONFIG.groundY;
+      const toX = x => width / 2 + (x + view.shake.x) * scale;
+      // Nearer lanes (larger z) sit lower on the screen
+      const toY = (y, z) => height * GROUND_AT - (y - groundY + view.shake.y) * scale + (z || 0) * DEPTH_LIFT * scale;
+
+      function fillBoxes(boxes, z, color, alpha) {
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = color;
+        boxes.forEach(box => {
+          const left = toX(box.minX);
+          const top = toY(box.maxY, z);
+          ctx.fillRect(left, top, toX(box.maxX) - left, toY(box.minY, z) - top);
+        });
+        ctx.globalAlpha = 1;
+      }
+
+      ctx.clearRect(0, 0, width, height);
+
+      // Ground: one line per lane, with dashes scrolling at the run's speed
+      const laneDepths = sim && sim.mode === 'lanes'
+        ? [-1, 0, 1].map(Sim.getLaneZ)
+        : [0];
+      const dashOffset = sim ? -(sim.distance % DASH_SPACING) : 0;
+      ctx.strokeStyle = toCss(colors.groundLine);
+      ctx.fillStyle = toCss(colors.groundLine);
+      ctx.lineWidth = 2;
+      laneDepths.forEach(z => {
+        const y = toY(groundY, z);
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+        const halfView = width / 2 / scale;
+        for (let x = dashOffset - halfView - DASH_SPACING; x < halfView; x += DASH_SPACING) {
+          ctx.fillRect(toX(x), y + 6, scale * 0.8, 2);
+        }
+      });
+
+      if (!sim) return;
+
+      // Far things first so nearer lanes draw over them
+      const draws = [];
+      const alpha = view.alpha;
+      const lerpX = entity => entity.prevX + (entity.x - entity.prevX) * alpha;
+
+      sim.obstacles.forEach(obstacle => {
+        const shift = lerpX(obstacle) - obstacle.x;
+        const boxes = Sim.getObstacleHitboxes(obstacle).map(box => Object.assign({}, box, {
+          minX: box.minX + shift,
+          maxX: box.maxX + shift
+        }));
+        const color = obstacle.type === 'pterodactyl' ? colors.secondary : colors.obstacle;
+        draws.push({ z: obstacle.z, draw: () => fillBoxes(boxes, obstacle.z, toCss(color), 1) });
+      });
+
+      sim.pickups.forEach(pickup => {
+        const size = pickup.type === 'coin' ? Sim.CONFIG.coinSize : Sim.CONFIG.pickupSize;
+        draws.push({
+          z: pickup.z,
+          draw: () => {
+            ctx.fillStyle = toCss(pickupColors[pickup.type]);
+            ctx.beginPath();
+            ctx.arc(toX(lerpX(pickup)), toY(pickup.y, pickup.z), size / 2 * scale, 0, Math.PI * 2);
+            ctx.fill();
+          }
+        });
+      });
+
+      const state = sim.dino;
+      const z = state.prevZ + (state.z - state.prevZ) * alpha;
+      if (view.ghost) {
+        const ghostBoxes = Sim.getDinoHitboxes(Object.assign({}, state, view.ghost));
+        draws.push({ z: 0, draw: () => fillBoxes(ghostBoxes, 0, toCss(colors.dino), 0.25) });
+      }
+      if (view.dinoVisible) {
+        const dinoBoxes = Sim.getDinoHitboxes(Object.assign({}, state, {
+          y: state.prevY + (state.y - state.prevY) * alpha
+        }));
+        draws.push({ z, draw: () => fillBoxes(dinoBoxes, z, toCss(view.dinoColor), 1) });
+      }
+
+      draws.sort((a, b) => a.z - b.z).forEach(item => item.draw());
+
+      // Particles last, fading out like their 3D counterparts
+      view.particles.forEach(particle => {
+        ctx.globalAlpha = Math.max(0, particle.opacity);
+        ctx.fillStyle = toCss(particle.color);
+        ctx.fillRect(toX(particle.x) - 2, toY(particle.y, particle.z) - 2, 4, 4);
+      });
+      ctx.globalAlpha = 1;
+    }
+
+    return { canvas, setSize, render };
+  }
+
+  root.DinoCanvas2D = { createRenderer };
+})(window);
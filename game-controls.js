@@ -0,0 +1,181 @@
+/**
+ * Dino Run Controls
+ * The player's key bindings for each game action and their touch scheme,
+ * kept in localStorage. Keys are KeyboardEvent.code values, so a binding
+ * sticks to the physical key whatever the keyboard layout.
+ */
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'dinoControls';
+  const VERSION = 1;
+  const MAX_KEYS = 2;
+
+  // Panel and start screen order
+  const ACTIONS = [
+    { id: 'jump', name: 'Jump', hint: 'hold for higher' },
+    { id: 'duck', name: 'Duck', hint: 'fast fall' },
+    { id: 'left', name: 'Lane left', hint: 'Lanes' },
+    { id: 'right', name: 'Lane right', hint: 'Lanes' },
+    { id: 'pause', name: 'Pause', hint: null },
+    { id: 'restart', name: 'Restart', hint: null }
+  ];
+
+  const DEFAULT_KEYS = {
+    jump: ['Space', 'ArrowUp'],
+    duck: ['ArrowDown'],
+    left: ['ArrowLeft'],
+    right: ['ArrowRight'],
+    pause: ['KeyP'],
+    restart: ['KeyR']
+  };
+
+  // hold: press to duck, release to jump. zones: the top half jumps, the bottom half ducks
+  const TOUCH_SCHEMES = ['hold', 'zones'];
+
+  // Escape always pauses and leaves the game, and Tab moves focus
+  const RESERVED_KEYS = ['Escape', 'Tab'];
+
+  const KEY_NAMES = {
+    Space: 'SPACE',
+    ArrowUp: 'UP',
+    ArrowDown: 'DOWN',
+    ArrowLeft: 'LEFT',
+    ArrowRight: 'RIGHT',
+    Enter: 'ENTER',
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: '\'',
+    Comma: ',',
+    Period: '.',
+    Slash: '/'
+  };
+
+  function createBindings() {
+    const keys = {};
+    ACTIONS.forEach(action => {
+      keys[action.id] = DEFAULT_KEYS[action.id].slice();
+    });
+    return { version: VERSION, keys, touch: TOUCH_SCHEMES[0] };
+  }
+
+  function isReserved(code) {
+    return RESERVED_KEYS.indexOf(code) !== -1;
+  }
+
+  // Saved keys are all or nothing: one bad or doubled-up key brings back the defaults
+  function load(storage) {
+    let data = null;
+    try {
+      data = JSON.parse(storage.getItem(STORAGE_KEY));
+    } catch (e) {
+      data = null;
+    }
+
+    const bindings = createBindings();
+    if (!data || data.version !== VERSION) return bindings;
+
+    if (TOUCH_SCHEMES.indexOf(data.touch) !== -1) bindings.touch = data.touch;
+
+    const saved = data.keys || {};
+    const seen = [];
+    const valid = ACTIONS.every(action => {
+      const keys = saved[action.id];
+      if (!Array.isArray(keys) || keys.length < 1 || keys.length > MAX_KEYS) return false;
+      return keys.every(code => {
+        if (typeof code !== 'string' || !code || isReserved(code) || seen.indexOf(code) !== -1) return false;
+        seen.push(code);
+        return true;
+      });
+    });
+    if (valid) {
+      ACTIONS.forEach(action => {
+        bindings.keys[action.id] = saved[action.id].slice();
+      });
+    }
+    return bindings;
+  }
+
+  function save(storage, bindings) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  }
+
+  function actionFor(bindings, code) {
+    const action = ACTIONS.find(entry => bindings.keys[entry.id].indexOf(code) !== -1);
+    return action ? action.id : null;
+  }
+
+  // The other action already using `code`, or null
+  function findConflict(bindings, actionId, code) {
+    const owner = actionFor(bindings, code);
+    return owner && owner !== actionId ? owner : null;
+  }
+
+  /**
+   * Put `code` in an action's key slot. Callers check isReserved and
+   * findConflict first; a key already in the action's other slot moves.
+   */
+  function bindKey(bindings, actionId, slot, code) {
+    const keys = bindings.keys[actionId].filter(key => key !== code);
+    if (slot < keys.length) {
+      keys[slot] = code;
+    } else {
+      keys.push(code);
+    }
+    bindings.keys[actionId] = keys.slice(0, MAX_KEYS);
+  }
+
+  // Every action keeps at least one key; returns false when the slot stays
+  function clearKey(bindings, actionId, slot) {
+    const keys = bindings.keys[actionId];
+    if (keys.length < 2 || slot >= keys.length) return false;
+    keys.splice(slot, 1);
+    return true;
+  }
+
+  function getAction(actionId) {
+    return ACTIONS.find(action => action.id === actionId);
+  }
+
+  function keyLabel(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    return code
+      .replace(/^(Key|Digit)/, '')
+      .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+      .toUpperCase();
+  }
+
+  // "SPACE / UP"
+  function describe(bindings, actionId) {
+    return bindings.keys[actionId].map(keyLabel).join(' / ');
+  }
+
+  const DinoControls = {
+    ACTIONS,
+    MAX_KEYS,
+    TOUCH_SCHEMES,
+    createBindings,
+    load,
+    save,
+    isReserved,
+    actionFor,
+    findConflict,
+    bindKey,
+    clearKey,
+    getAction,
+    keyLabel,
+    describe
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DinoControls;
+  } else {
+    root.DinoControls = DinoControls;
+  }
+})(typeof window !== 'undefined' ? window : this);
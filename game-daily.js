@@ -0,0 +1,111 @@
+/**
+ * Dino Run Daily
+ * The daily challenge: one course per UTC date, seeded from the date so
+ * everyone gets the same obstacles, with a best score per date and a streak
+ * of consecutive days played kept in localStorage.
+ */
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'dinoDaily';
+  const VERSION = 1;
+  // Bests older than this many dates are dropped
+  const MAX_DATES = 60;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // YYYY-MM-DD for the UTC day of `now`
+  function dateKey(now) {
+    return new Date(now).toISOString().slice(0, 10);
+  }
+
+  // FNV-1a over the date string: the same seed for everyone on that date
+  function seedFor(key) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  function previousDate(key) {
+    return dateKey(Date.parse(key + 'T00:00:00Z') - DAY_MS);
+  }
+
+  function load(storage) {
+    let data = null;
+    try {
+      data = JSON.parse(storage.getItem(STORAGE_KEY));
+    } catch (e) {
+      data = null;
+    }
+
+    const daily = { version: VERSION, bests: {}, lastPlayed: null, streak: 0 };
+    if (!data || data.version !== VERSION) return daily;
+
+    if (data.bests && typeof data.bests === 'object') {
+      Object.keys(data.bests).forEach(key => {
+        const score = Math.floor(Number(data.bests[key]));
+        if (/^\d{4}-\d{2}-\d{2}$/.test(key) && score >= 0) daily.bests[key] = score;
+      });
+    }
+    if (typeof data.lastPlayed === 'string') daily.lastPlayed = data.lastPlayed;
+    daily.streak = Math.max(0, Math.floor(Number(data.streak) || 0));
+    return daily;
+  }
+
+  function save(storage, daily) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(daily));
+  }
+
+  function bestFor(daily, key) {
+    return daily.bests[key] || 0;
+  }
+
+  // The streak still counts if the last day played was today or yesterday
+  function currentStreak(daily, today) {
+    const lastPlayed = daily.lastPlayed;
+    return lastPlayed === today || lastPlayed === previousDate(today) ? daily.streak : 0;
+  }
+
+  /**
+   * Record a finished daily run. Returns true when it beat the best for
+   * that date.
+   */
+  function recordRun(daily, key, score) {
+    if (daily.lastPlayed !== key) {
+      daily.streak = daily.lastPlayed === previousDate(key) ? daily.streak + 1 : 1;
+      daily.lastPlayed = key;
+    }
+
+    const best = score > bestFor(daily, key);
+    if (best) daily.bests[key] = score;
+
+    Object.keys(daily.bests).sort().reverse().slice(MAX_DATES).forEach(old => {
+      delete daily.bests[old];
+    });
+    return best;
+  }
+
+  function shareText(key, score) {
+    return 'Dino Daily ' + key + ': ' + score;
+  }
+
+  const DinoDaily = {
+    dateKey,
+    seedFor,
+    load,
+    save,
+    bestFor,
+    currentStreak,
+    recordRun,
+    shareText
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DinoDaily;
+  } else {
+    root.DinoDaily = DinoDaily;
+  }
+})(typeof window !== 'undefined' ? window : this);
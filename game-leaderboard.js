@@ -0,0 +1,156 @@
+/**
+ * Dino Run Leaderboard
+ * Versioned top-10 run history kept in localStorage, one board per game mode,
+ * with migration from the old single `dinoHighScore` value and JSON
+ * export/import between browsers.
+ */
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'dinoLeaderboard';
+  const LEGACY_HIGH_SCORE_KEY = 'dinoHighScore';
+  const VERSION = 1;
+  const MAX_ENTRIES = 10;
+
+  function createBoard(entries) {
+    return { version: VERSION, entries: entries || [] };
+  }
+
+  // Coerce anything read from storage or an imported file into a clean entry
+  function normalizeEntry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const score = Math.floor(Number(raw.score));
+    if (!(score >= 0)) return null;
+
+    const date = raw.date && !isNaN(Date.parse(raw.date)) ? new Date(raw.date).toISOString() : null;
+    const initials = typeof raw.initials === 'string'
+      ? raw.initials.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3)
+      : '';
+
+    return {
+      score,
+      date,
+      duration: Math.max(0, Math.round(Number(raw.duration) || 0)),
+      obstacles: Math.max(0, Math.floor(Number(raw.obstacles) || 0)),
+      initials
+    };
+  }
+
+  // Highest score first; on a tie the older run keeps its place
+  function compareEntries(a, b) {
+    if (b.score !== a.score) return b.score - a.score;
+    return (a.date || '').localeCompare(b.date || '');
+  }
+
+  // Classic keeps the original key; other modes get their own board
+  function storageKey(mode) {
+    return mode && mode !== 'classic' ? STORAGE_KEY + ':' + mode : STORAGE_KEY;
+  }
+
+  function sortAndTrim(board) {
+    board.entries.sort(compareEntries);
+    board.entries.length = Math.min(board.entries.length, MAX_ENTRIES);
+    return board;
+  }
+
+  function load(storage, mode) {
+    let data = null;
+    try {
+      data = JSON.parse(storage.getItem(storageKey(mode)));
+    } catch (e) {
+      data = null;
+    }
+
+    if (data && data.version === VERSION && Array.isArray(data.entries)) {
+      return sortAndTrim(createBoard(data.entries.map(normalizeEntry).filter(Boolean)));
+    }
+
+    const board = createBoard();
+    if (storageKey(mode) !== STORAGE_KEY) return board;
+
+    // First load since the leaderboard existed: carry the old best score over
+    const legacy = parseInt(storage.getItem(LEGACY_HIGH_SCORE_KEY));
+    if (legacy > 0) {
+      board.entries.push(normalizeEntry({ score: legacy }));
+    }
+    save(storage, board);
+    storage.removeItem(LEGACY_HIGH_SCORE_KEY);
+    return board;
+  }
+
+  function save(storage, board, mode) {
+    storage.setItem(storageKey(mode), JSON.stringify(board));
+  }
+
+  function bestScore(board) {
+    return board.entries.length ? board.entries[0].score : 0;
+  }
+
+  /**
+   * Add a finished run. Returns the stored entry when it made the top 10,
+   * so the caller can attach initials to it later, or null otherwise.
+   */
+  function addEntry(board, run) {
+    const entry = normalizeEntry(run);
+    if (!entry) return null;
+
+    board.entries.push(entry);
+    sortAndTrim(board);
+    return board.entries.indexOf(entry) === -1 ? null : entry;
+  }
+
+  function merge(board, entries) {
+    const seen = new Set(board.entries.map(entryKey));
+    entries.forEach(raw => {
+      const entry = normalizeEntry(raw);
+      if (entry && !seen.has(entryKey(entry))) {
+        seen.add(entryKey(entry));
+        board.entries.push(entry);
+      }
+    });
+    return sortAndTrim(board);
+  }
+
+  function entryKey(entry) {
+    return [entry.score, entry.date, entry.initials].join('|');
+  }
+
+  function toJSON(board) {
+    return JSON.stringify({ version: VERSION, exportedAt: new Date().toISOString(), entries: board.entries }, null, 2);
+  }
+
+  function parseExport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('That file is not a leaderboard export');
+    }
+    if (!data || !Array.isArray(data.entries)) {
+      throw new Error('That file is not a leaderboard export');
+    }
+    if (data.version > VERSION) {
+      throw new Error('That leaderboard was exported by a newer version of the game');
+    }
+    return data.entries;
+  }
+
+  const DinoLeaderboard = {
+    MAX_ENTRIES,
+    load,
+    save,
+    bestScore,
+    addEntry,
+    merge,
+    toJSON,
+    parseExport
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DinoLeaderboard;
+  } else {
+    root.DinoLeaderboard = DinoLeaderboard;
+  }
+})(typeof window !== 'undefined' ? window : this);
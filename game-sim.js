@@ -0,0 +1,979 @@
+/**
+ * Dino Run Simulation
+ * Pure, deterministic game state for the 3D Dino game: fixed-tick physics,
+ * seeded obstacle spawning, scoring and collision. Knows nothing about
+ * Three.js or the DOM, so it runs the same in the browser and in Node.
+ */
+
+(function(root) {
+  'use strict';
+
+  // One simulation tick; all per-tick values below assume 60 ticks per second
+  const TICK_MS = 1000 / 60;
+
+  const CONFIG = {
+    groundY: -2,
+    dinoX: -4,
+    duckDrop: 0.5,
+    duckScale: 0.5,
+    baseSpeed: 0.15,
+    speedPerPoint: 0.00005,
+    gravity: 0.015,
+    // Jump feel: hold to go higher, release early for a short hop
+    jumpVelocity: 0.35,
+    jumpHoldGravity: 0.01,
+    jumpHoldTicks: 12,
+    jumpMinTicks: 5,
+    jumpCutVelocity: 0.2,
+    // Ducking in the air pulls the dino down this much harder
+    fastFallGravity: 0.045,
+    // A jump pressed up to this many ticks before landing fires on touchdown.
+    // There's no coyote time to go with it: the ground is flat, so the dino
+    // only ever leaves it by jumping
+    jumpBufferTicks: 6,
+    spawnX: 20,
+    despawnX: -15,
+    // Cacti in a cluster stand this far apart
+    cactusSpacing: 1.2,
+    birdHeights: { low: 1.2, high: 3, top: 4.8 },
+    // Lane mode: three lanes side by side along z, and the time to switch
+    laneWidth: 2.5,
+    laneChangeTicks: 8,
+    // Half depths along z for lane collisions
+    dinoHalfDepth: 0.5,
+    obstacleHalfDepth: { cactus: 0.3, pterodactyl: 0.9 },
+    // Fairness: every obstacle's danger window is widened by this many ticks;
+    // unclearable patterns are pushed back a step at a time, then re-rolled
+    fairnessSlackTicks: 2,
+    fairnessSpacingStep: 10,
+    fairnessMaxSpacing: 40,
+    fairnessRerolls: 3,
+    pointsPerObstacle: 100,
+    // Power-ups: a pickup may float in halfway between two obstacle spawns
+    pickupChance: 0.2,
+    pickupHeights: [1.2, 2.8],
+    pickupSize: 0.8,
+    powerUpTicks: { shield: 600, slowMotion: 300, multiplier: 600 },
+    slowMotionScale: 0.6,
+    scoreMultiplier: 2,
+    // Otherwise a row of coins may take its place
+    coinChance: 0.5,
+    coinRow: [3, 5],
+    coinSpacing: 0.9,
+    // Assist runs move the whole world at this fraction of normal speed
+    assistSpeedScale: 0.7,
+    coinSize: 0.5,
+    legSwing: 0.5,
+    wingSwing: 0.5,
+    wingPhasePerTick: 0.2
+  };
+
+  /*
+   * Obstacle patterns. A pattern joins the draw once the score reaches
+   * minScore, picked by weight against the others. Each step after the first
+   * spawns `gap` ticks of travel behind the one before it, and `rest` scales
+   * the pause before the next pattern so combinations get room to breathe.
+   */
+  const PATTERNS = [
+    { id: 'cactus', minScore: 0, weight: 5, rest: 1, steps: [{ type: 'cactus' }] },
+    { id: 'doubleCactus', minScore: 200, weight: 3, rest: 1, steps: [{ type: 'doubleCactus' }] },
+    { id: 'lowBird', minScore: 500, weight: 2, rest: 1, steps: [{ type: 'pterodactyl', height: 'low' }] },
+    { id: 'highBird', minScore: 800, weight: 2, rest: 1, steps: [{ type: 'pterodactyl', height: 'high' }] },
+    {
+      id: 'cactusThenLowBird',
+      minScore: 1200,
+      weight: 2,
+      rest: 1.2,
+      steps: [{ type: 'cactus' }, { type: 'pterodactyl', height: 'low', gap: 70 }]
+    },
+    {
+      id: 'cactusPair',
+      minScore: 1800,
+      weight: 2,
+      rest: 1.2,
+      steps: [{ type: 'cactus' }, { type: 'cactus', gap: 65 }]
+    },
+    {
+      id: 'highBirdThenCactus',
+      minScore: 2400,
+      weight: 1,
+      rest: 1.2,
+      steps: [{ type: 'pterodactyl', height: 'high' }, { type: 'cactus', gap: 60 }]
+    },
+    { id: 'cactusWall', minScore: 3000, weight: 1, rest: 1.4, steps: [{ type: 'cactusWall' }] }
+  ];
+
+  /*
+   * Lane mode patterns. Each pattern picks one lane at random; a step fills
+   * that lane ('pick') or the other two ('others'). A step marked `repick`
+   * moves the picked lane first. A gate of three stacked pterodactyls is too
+   * tall to jump and too low to duck, so it can only be passed in another lane.
+   */
+  const GATE = [
+    { type: 'pterodactyl', height: 'low', lanes: 'others' },
+    { type: 'pterodactyl', height: 'high', lanes: 'others', gap: 0 },
+    { type: 'pterodactyl', height: 'top', lanes: 'others', gap: 0 }
+  ];
+
+  const LANE_PATTERNS = [
+    { id: 'laneCactus', minScore: 0, weight: 4, rest: 1, steps: [{ type: 'cactus', lanes: 'pick' }] },
+    { id: 'cactusRow', minScore: 300, weight: 3, rest: 1, steps: [{ type: 'doubleCactus', lanes: 'others' }] },
+    { id: 'laneBird', minScore: 500, weight: 2, rest: 1, steps: [{ type: 'pterodactyl', height: 'low', lanes: 'pick' }] },
+    { id: 'gate', minScore: 800, weight: 3, rest: 1.2, steps: GATE },
+    {
+      id: 'slalom',
+      minScore: 1500,
+      weight: 2,
+      rest: 1.3,
+      steps: GATE.concat(Object.assign({}, GATE[0], { gap: 60, repick: true }), GATE.slice(1))
+    }
+  ];
+
+  // Ticks between patterns, interpolated between these points by score
+  const DIFFICULTY_CURVE = [
+    { score: 0, interval: 100 },
+    { score: 1000, interval: 80 },
+    { score: 2500, interval: 64 },
+    { score: 5000, interval: 50 }
+  ];
+
+  function getSpawnInterval(score) {
+    const curve = DIFFICULTY_CURVE;
+    for (let i = 1; i < curve.length; i++) {
+      if (score < curve[i].score) {
+        const t = (score - curve[i - 1].score) / (curve[i].score - curve[i - 1].score);
+        return curve[i - 1].interval + (curve[i].interval - curve[i - 1].interval) * t;
+      }
+    }
+    return curve[curve.length - 1].interval;
+  }
+
+  function getAvailablePatterns(score, mode) {
+    return (mode === 'lanes' ? LANE_PATTERNS : PATTERNS).filter(pattern => score >= pattern.minScore);
+  }
+
+  function getLaneZ(lane) {
+    return lane * CONFIG.laneWidth;
+  }
+
+  function getHalfDepth(obstacle) {
+    return obstacle.type === 'pterodactyl'
+      ? CONFIG.obstacleHalfDepth.pterodactyl
+      : CONFIG.obstacleHalfDepth.cactus;
+  }
+
+  function depthOverlap(z, halfDepth, otherZ, otherHalfDepth) {
+    return Math.abs(z - otherZ) < halfDepth + otherHalfDepth;
+  }
+
+  /**
+   * One tick of jump physics: hold to rise higher, release early to cut the
+   * rise short, duck to fall faster. Returns true on the tick the dino lands.
+   */
+  function applyJumpPhysics(dino, jumpHeld) {
+    dino.jumpTicks++;
+    const holding = dino.vy > 0 && dino.jumpTicks <= CONFIG.jumpHoldTicks;
+    let gravity = CONFIG.gravity;
+
+    if (dino.ducking) {
+      gravity += CONFIG.fastFallGravity;
+    } else if (holding && jumpHeld) {
+      gravity = CONFIG.jumpHoldGravity;
+    } else if (holding && dino.jumpTicks >= CONFIG.jumpMinTicks) {
+      // Let go early: cut the rise short
+      dino.vy = Math.min(dino.vy, CONFIG.jumpCutVelocity);
+    }
+
+    dino.y += dino.vy;
+    dino.vy -= gravity;
+
+    if (dino.y <= dino.baseY) {
+      dino.y = dino.baseY;
+      dino.jumping = false;
+      dino.vy = 0;
+      return true;
+    }
+    return false;
+  }
+
+  /*
+   * Fairness checking. Obstacles are reduced to side-view bounds and the
+   * jump to its real per-tick arc, so the spawner can tell whether a run of
+   * obstacles leaves the player any way through: duck under, or a jump that
+   * lands in time for the next one.
+   */
+  function unionBoxes(boxes) {
+    return boxes.reduce((all, box) => ({
+      minX: Math.min(all.minX, box.minX),
+      maxX: Math.max(all.maxX, box.maxX),
+      minY: Math.min(all.minY, box.minY),
+      maxY: Math.max(all.maxY, box.maxY)
+    }));
+  }
+
+  // Dino bounds relative to its resting position, legs at full swing
+  function getDinoProfile(ducking) {
+    const dino = { x: 0, y: 0, ducking, jumping: false, legAngle: CONFIG.legSwing };
+    return unionBoxes(getDinoHitboxes(dino));
+  }
+
+  // Obstacle bounds relative to its x, over a full wing beat for pterodactyls
+  function getObstacleProfile(obstacle) {
+    const probe = Object.assign({}, obstacle, { x: 0 });
+    if (obstacle.type !== 'pterodactyl') return unionBoxes(getObstacleHitboxes(probe));
+
+    const boxes = [];
+    for (let phase = 0; phase < Math.PI * 2; phase += 0.1) {
+      probe.wingPhase = phase;
+      boxes.push(unionBoxes(getObstacleHitboxes(probe)));
+    }
+    return unionBoxes(boxes);
+  }
+
+  let jumpArcs = null;
+
+  /**
+   * Height above rest after each tick of a jump, for every way of holding
+   * it: from the shortest hop to the full hold. Computed once, lazily.
+   */
+  function getJumpArcs() {
+    if (jumpArcs) return jumpArcs;
+
+    jumpArcs = [];
+    for (let hold = CONFIG.jumpMinTicks; hold <= CONFIG.jumpHoldTicks + 1; hold++) {
+      const dino = { y: 0, baseY: 0, vy: CONFIG.jumpVelocity, jumping: true, jumpTicks: 0, ducking: false };
+      const heights = [];
+      let landed = false;
+      while (!landed) {
+        landed = applyJumpPhysics(dino, dino.jumpTicks < hold);
+        heights.push(dino.y);
+      }
+      jumpArcs.push(heights);
+    }
+    return jumpArcs;
+  }
+
+  /**
+   * Ticks of a jump during which the dino's feet stay above `height`, counted
+   * from the tick the jump starts (when the dino is still at rest), or null.
+   */
+  function getClearance(arc, height) {
+    let first = -1;
+    let last = -1;
+    arc.forEach((y, i) => {
+      if (y >= height) {
+        if (first === -1) first = i + 1;
+        last = i + 1;
+      }
+    });
+    return first === -1 ? null : { first, last };
+  }
+
+  /**
+   * Can the dino get past these obstacles, ordered by distance, at this
+   * speed? Works through them keeping the earliest tick the dino is back on
+   * the ground and free to act; a single jump may clear several at once.
+   */
+  function isClearable(obstacles, dinoX, baseY, speed) {
+    const standing = getDinoProfile(false);
+    const ducking = getDinoProfile(true);
+    const slack = CONFIG.fairnessSlackTicks;
+
+    // When each obstacle overlaps the dino horizontally, in ticks from now
+    const items = obstacles.map(obstacle => {
+      const profile = getObstacleProfile(obstacle);
+      return {
+        from: Math.floor((obstacle.x + profile.minX - dinoX - standing.maxX) / speed) - 1 - slack,
+        to: Math.ceil((obstacle.x + profile.maxX - dinoX - standing.minX) / speed) - 1 + slack,
+        bottom: obstacle.y + profile.minY - baseY,
+        top: obstacle.y + profile.maxY - baseY
+      };
+    }).filter(item => item.to >= 0).reduce((walls, item) => {
+      // Obstacles at the same time with no room for the dino between them act as one wall
+      const gap = standing.maxY - standing.minY;
+      const wall = walls.find(other => item.from <= other.to && other.from <= item.to &&
+        item.bottom < other.top + gap && other.bottom < item.top + gap);
+      if (wall) {
+        wall.from = Math.min(wall.from, item.from);
+        wall.to = Math.max(wall.to, item.to);
+        wall.bottom = Math.min(wall.bottom, item.bottom);
+        wall.top = Math.max(wall.top, item.top);
+      } else {
+        walls.push(item);
+      }
+      return walls;
+    }, []);
+
+    // freeAt[i]: earliest tick the dino can act once the first i are behind it
+    const freeAt = [-Infinity];
+    for (let i = 1; i <= items.length; i++) freeAt.push(Infinity);
+
+    for (let i = 0; i < items.length; i++) {
+      const free = freeAt[i];
+      const item = items[i];
+      if (free === Infinity) continue;
+
+      if (standing.maxY <= item.bottom) {
+        // Passes overhead without a care
+        freeAt[i + 1] = Math.min(freeAt[i + 1], free);
+      } else if (ducking.maxY <= item.bottom && free <= item.from) {
+        freeAt[i + 1] = Math.min(freeAt[i + 1], item.to + 1);
+      }
+
+      // Jump over items i..j in one go
+      let from = item.from;
+      let to = item.to;
+      let top = item.top;
+      for (let j = i; j < items.length; j++) {
+        from = Math.min(from, items[j].from);
+        to = Math.max(to, items[j].to);
+        top = Math.max(top, items[j].top);
+
+        getJumpArcs().forEach(arc => {
+          const clearance = getClearance(arc, top - standing.minY);
+          if (!clearance) return;
+          const start = Math.max(free, to - clearance.last);
+          if (start <= from - clearance.first) {
+            freeAt[j + 1] = Math.min(freeAt[j + 1], start + arc.length);
+          }
+        });
+      }
+    }
+
+    return freeAt[items.length] !== Infinity;
+  }
+
+  /**
+   * Lane mode version: obstacles level with each other form a row, and each
+   * row still ahead must leave a lane the dino can clear (or that is empty)
+   * and can reach, starting from its current lane, in the time it has.
+   */
+  function isLaneClearable(obstacles, dinoX, baseY, speed, dinoLane) {
+    const rows = [];
+    obstacles.slice().sort((a, b) => a.x - b.x).forEach(obstacle => {
+      const row = rows[rows.length - 1];
+      if (row && obstacle.x - row.x < 0.5) {
+        row.obstacles.push(obstacle);
+      } else {
+        rows.push({ x: obstacle.x, obstacles: [obstacle] });
+      }
+    });
+
+    let reachable = [dinoLane];
+    let lastX = dinoX;
+    for (const row of rows) {
+      if (row.x <= dinoX) continue;
+      const ticks = (row.x - lastX) / speed;
+      const open = [-1, 0, 1].filter(lane => {
+        const inLane = row.obstacles.filter(obstacle => obstacle.lane === lane);
+        return isClearable(inLane, dinoX, baseY, speed);
+      });
+
+      reachable = open.filter(lane => reachable.some(from => {
+        const switchTicks = Math.abs(lane - from) * CONFIG.laneChangeTicks + CONFIG.fairnessSlackTicks;
+        return switchTicks <= ticks;
+      }));
+      if (!reachable.length) return false;
+      lastX = row.x;
+    }
+    return true;
+  }
+
+  // Leg swing speed: the legs cycle 0.2 radians per ms per unit of speed
+  const LEG_PHASE_PER_SPEED = TICK_MS * 0.2;
+
+  /*
+   * Hitbox shapes, matching the meshes game.js builds. Each part is
+   * [centerX, centerY, width, height] in its group's space, plus a z rotation
+   * or, for parts that swing about the x axis, their depth.
+   */
+  const DINO_PARTS = [
+    { box: [0, 0.7, 1.2, 1.4], rotation: 0 },     // body
+    { box: [0.5, 1.5, 0.9, 0.7], rotation: 0 },   // head
+    { box: [-1, 0.8, 1, 0.5], rotation: -0.2 },   // tail
+    { box: [0.5, 0.6, 0.2, 0.4], rotation: 0.5 }  // arms (both share a side profile)
+  ];
+  const DINO_LEG = { box: [-0.2, -0.1, 0.3, 0.6], depth: 0.3 };
+
+  const PTERODACTYL_PARTS = [
+    { box: [0, 0, 1.2, 0.6], rotation: 0 },       // body
+    { box: [0.7, 0, 0.5, 0.3], rotation: 0 }      // head
+  ];
+  const PTERODACTYL_WINGS = [
+    { box: [0, 0.5, 0.1, 1.5], depth: 0.8 },
+    { box: [0, -0.5, 0.1, 1.5], depth: 0.8 }
+  ];
+
+  // Side-view bounds of a box rotated about the z axis
+  function rotatedBox(part) {
+    const [x, y, width, height] = part.box;
+    const cos = Math.abs(Math.cos(part.rotation));
+    const sin = Math.abs(Math.sin(part.rotation));
+    const halfWidth = (width * cos + height * sin) / 2;
+    const halfHeight = (width * sin + height * cos) / 2;
+    return { minX: x - halfWidth, maxX: x + halfWidth, minY: y - halfHeight, maxY: y + halfHeight };
+  }
+
+  // Side-view bounds of a box swinging about the x axis: only its height changes
+  function swungBox(part, angle) {
+    const [x, y, width, height] = part.box;
+    const halfHeight = (height * Math.abs(Math.cos(angle)) + part.depth * Math.abs(Math.sin(angle))) / 2;
+    return { minX: x - width / 2, maxX: x + width / 2, minY: y - halfHeight, maxY: y + halfHeight };
+  }
+
+  function placeBox(box, x, y, scaleY) {
+    return {
+      minX: box.minX + x,
+      maxX: box.maxX + x,
+      minY: box.minY * scaleY + y,
+      maxY: box.maxY * scaleY + y
+    };
+  }
+
+  function getDinoHitboxes(dino) {
+    const crouched = dino.ducking && !dino.jumping;
+    const y = dino.y - (crouched ? CONFIG.duckDrop : 0);
+    const scaleY = dino.ducking ? CONFIG.duckScale : 1;
+
+    return DINO_PARTS.map(rotatedBox)
+      .concat(swungBox(DINO_LEG, dino.legAngle))
+      .map(box => placeBox(box, dino.x, y, scaleY));
+  }
+
+  function getCactusBoxes(variant, offsetX) {
+    const boxes = [rotatedBox({ box: [0, 1, 0.5, variant.trunkHeight], rotation: 0 })];
+    if (variant.armL) {
+      boxes.push(rotatedBox({ box: [0.4, variant.armL.y, 0.4, 0.8], rotation: 0 }));
+      boxes.push(rotatedBox({ box: [0.2, variant.armL.connectorY, 0.3, 0.3], rotation: 0 }));
+    }
+    if (variant.armR) {
+      boxes.push(rotatedBox({ box: [-0.4, variant.armR.y, 0.4, 0.6], rotation: 0 }));
+    }
+    return boxes.map(box => placeBox(box, offsetX, 0, 1));
+  }
+
+  function getObstacleHitboxes(obstacle) {
+    let boxes;
+
+    if (obstacle.type === 'cactus') {
+      boxes = getCactusBoxes(obstacle.variant, 0);
+    } else if (obstacle.variant.cacti) {
+      const cacti = obstacle.variant.cacti;
+      boxes = [];
+      cacti.forEach((variant, i) => {
+        boxes = boxes.concat(getCactusBoxes(variant, getClusterOffset(i, cacti.length)));
+      });
+    } else {
+      const wingAngle = Math.sin(obstacle.wingPhase) * CONFIG.wingSwing;
+      boxes = PTERODACTYL_PARTS.map(rotatedBox)
+        .concat(PTERODACTYL_WINGS.map(wing => swungBox(wing, wingAngle)));
+    }
+
+    return boxes.map(box => placeBox(box, obstacle.x, obstacle.y, 1));
+  }
+
+  // X offset of the i-th cactus in a cluster of n, centred on the obstacle
+  function getClusterOffset(i, n) {
+    return (i - (n - 1) / 2) * CONFIG.cactusSpacing;
+  }
+
+  function boxesOverlap(a, b) {
+    return a.minX < b.maxX && a.maxX > b.minX && a.minY < b.maxY && a.maxY > b.minY;
+  }
+
+  // Inputs a run can record; their order is part of the replay format
+  const ACTIONS = ['jump', 'duck', 'left', 'right'];
+  const RECORDING_VERSION = 8;
+  const MODES = ['classic', 'lanes'];
+
+  const POWER_UPS = ['shield', 'slowMotion', 'multiplier'];
+
+  function getPickupHitbox(pickup) {
+    const half = (pickup.type === 'coin' ? CONFIG.coinSize : CONFIG.pickupSize) / 2;
+    return { minX: pickup.x - half, maxX: pickup.x + half, minY: pickup.y - half, maxY: pickup.y + half };
+  }
+
+  // Mulberry32: small, fast and good enough for gameplay randomness
+  function createRng(seed) {
+    let state = seed >>> 0;
+    return function random() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function createSimulation(options) {
+    const opts = options || {};
+    const seed = (opts.seed || 0) >>> 0;
+    const random = createRng(seed);
+    // Pickups roll on their own stream so they never shift the obstacle sequence
+    const pickupRandom = createRng(seed ^ 0x9e3779b9);
+    const baseY = CONFIG.groundY + 0.4;
+    const replayInputs = opts.inputs || null;
+    const mode = opts.mode === 'lanes' ? 'lanes' : 'classic';
+    const lanes = mode === 'lanes';
+    const assist = !!opts.assist;
+    // Daily runs go without power-ups: the multiplier and shield would change the course
+    const powerUps = opts.powerUps !== false;
+    // Log every spawn the fairness checker turns down
+    const debug = !!opts.debug;
+    const inputLog = [];
+
+    let obstacleTimer = 0;
+    let nextPatternIn = getSpawnInterval(0);
+    let pickupRollAt = nextPatternIn / 2;
+    let nextObstacleId = 1;
+    let pickupRolled = false;
+    let jumpBuffer = 0;
+    let replayCursor = 0;
+
+    const sim = {
+      seed,
+      mode,
+      assist,
+      powerUps,
+      tick: 0,
+      score: 0,
+      speed: CONFIG.baseSpeed,
+      distance: 0,
+      obstaclesPassed: 0,
+      coins: 0,
+      over: false,
+      dino: {
+        x: CONFIG.dinoX,
+        y: baseY,
+        prevY: baseY,
+        baseY,
+        vy: 0,
+        jumping: false,
+        jumpTicks: 0,
+        ducking: false,
+        legPhase: 0,
+        legAngle: 0,
+        // Lane mode: the lane (-1, 0, 1) being moved to, and depth along z
+        lane: 0,
+        z: 0,
+        prevZ: 0
+      },
+      obstacles: [],
+      pickups: [],
+      // Ticks left on each power-up, 0 when inactive
+      effects: { shield: 0, slowMotion: 0, multiplier: 0 },
+      input: lanes ? { jump: false, duck: false, left: false, right: false } : { jump: false, duck: false },
+      replaying: !!replayInputs,
+      setInput,
+      step,
+      getRecording
+    };
+
+    /**
+     * Update a held input. Called between ticks; the change is applied on the
+     * next step(). A press is buffered so a tap shorter than a tick, or one
+     * made just before landing, still jumps. Left and right move one lane
+     * per press.
+     * Every change is logged against the tick it lands on for replays.
+     */
+    function setInput(action, down) {
+      if (!(action in sim.input) || sim.input[action] === !!down) return;
+      if (action === 'jump' && down) jumpBuffer = CONFIG.jumpBufferTicks + 1;
+      if ((action === 'left' || action === 'right') && down) {
+        const dino = sim.dino;
+        dino.lane = Math.max(-1, Math.min(1, dino.lane + (action === 'left' ? -1 : 1)));
+      }
+      sim.input[action] = !!down;
+      inputLog.push([sim.tick, action, !!down]);
+    }
+
+    function getRecording() {
+      return {
+        version: RECORDING_VERSION,
+        mode,
+        assist,
+        powerUps,
+        seed,
+        inputs: inputLog.slice(),
+        ticks: sim.tick,
+        score: sim.score
+      };
+    }
+
+    function rollCactus() {
+      return {
+        trunkHeight: 2 + random(),
+        armL: random() > 0.3 ? { y: 1.2 + random() * 0.5, connectorY: 1.2 + random() * 0.3 } : null,
+        armR: random() > 0.5 ? { y: 1.5 + random() * 0.3 } : null
+      };
+    }
+
+    function createObstacle(step) {
+      let obstacle;
+
+      if (step.type === 'cactus') {
+        obstacle = { type: 'cactus', y: CONFIG.groundY, variant: rollCactus() };
+      } else if (step.type === 'doubleCactus') {
+        obstacle = { type: 'doubleCactus', y: CONFIG.groundY, variant: { cacti: [rollCactus(), rollCactus()] } };
+      } else if (step.type === 'cactusWall') {
+        obstacle = { type: 'cactusWall', y: CONFIG.groundY, variant: { cacti: [rollCactus(), rollCactus(), rollCactus()] } };
+      } else {
+        const flyHeight = CONFIG.groundY + CONFIG.birdHeights[step.height];
+        obstacle = { type: 'pterodactyl', y: flyHeight, variant: {}, wingPhase: 0 };
+      }
+
+      obstacle.passed = false;
+      obstacle.lane = 0;
+      obstacle.z = 0;
+      return obstacle;
+    }
+
+    function pickPattern() {
+      const patterns = getAvailablePatterns(sim.score, mode);
+      const total = patterns.reduce((sum, pattern) => sum + pattern.weight, 0);
+      let roll = random() * total;
+      return patterns.find(pattern => (roll -= pattern.weight) < 0) || patterns[0];
+    }
+
+    /**
+     * Turn a pattern into obstacles. In lane mode a step becomes one obstacle
+     * per lane it fills; only the first obstacle of each row scores.
+     */
+    function createPatternObstacles(pattern) {
+      const obstacles = [];
+      let picked = lanes ? Math.floor(random() * 3) - 1 : 0;
+
+      pattern.steps.forEach((step, i) => {
+        const row = i === 0 || step.gap > 0;
+        if (!lanes) {
+          obstacles.push({ step, row: true, obstacle: createObstacle(step) });
+          return;
+        }
+
+        if (step.repick) picked = (picked + 2 + Math.floor(random() * 2)) % 3 - 1;
+        const stepLanes = step.lanes === 'pick' ? [picked] : [-1, 0, 1].filter(lane => lane !== picked);
+        stepLanes.forEach((lane, j) => {
+          const obstacle = createObstacle(step);
+          obstacle.lane = lane;
+          obstacle.z = getLaneZ(lane);
+          obstacles.push({ step, row: row && j === 0, obstacle });
+        });
+      });
+
+      return obstacles;
+    }
+
+    // Lay a pattern's obstacles out `gap` ticks apart, plus any extra spacing
+    function placePattern(entries, spacing, runSpeed) {
+      let ticks = 0;
+      entries.forEach(entry => {
+        if (entry.row) ticks += (entry.step.gap || 0) + spacing;
+        entry.obstacle.x = CONFIG.spawnX + ticks * runSpeed;
+        entry.obstacle.prevX = entry.obstacle.x;
+        entry.obstacle.points = entry.row ? CONFIG.pointsPerObstacle : 0;
+      });
+      return ticks;
+    }
+
+    function logRejectedSpawn(pattern, spacing, runSpeed) {
+      if (!debug) return;
+      console.warn('[DinoSim] tick ' + sim.tick + ': rejected ' + pattern.id +
+        ' with ' + spacing + ' ticks of extra spacing at speed ' + runSpeed.toFixed(3));
+    }
+
+    /**
+     * Spawn a whole pattern at once, later steps further out so they arrive
+     * `gap` ticks apart at the current running speed, and schedule the next.
+     * Patterns the dino couldn't get through are spaced out, then re-rolled;
+     * if nothing fits, spawning waits a moment for the track to clear.
+     */
+    function spawnPattern(runSpeed) {
+      const clearable = lanes ? isLaneClearable : isClearable;
+
+      for (let roll = 0; roll <= CONFIG.fairnessRerolls; roll++) {
+        const pattern = pickPattern();
+        const entries = createPatternObstacles(pattern);
+        const obstacles = entries.map(entry => entry.obstacle);
+
+        for (let spacing = 0; spacing <= CONFIG.fairnessMaxSpacing; spacing += CONFIG.fairnessSpacingStep) {
+          const ticks = placePattern(entries, spacing, runSpeed);
+
+          if (!clearable(sim.obstacles.concat(obstacles), sim.dino.x, sim.dino.baseY, runSpeed, sim.dino.lane)) {
+            logRejectedSpawn(pattern, spacing, runSpeed);
+            continue;
+          }
+
+          obstacles.forEach(obstacle => {
+            obstacle.id = nextObstacleId++;
+            sim.obstacles.push(obstacle);
+          });
+          const rest = getSpawnInterval(sim.score) * pattern.rest;
+          nextPatternIn = ticks + rest;
+          pickupRollAt = ticks + rest / 2;
+          return;
+        }
+      }
+
+      if (debug) console.warn('[DinoSim] tick ' + sim.tick + ': no fair pattern, waiting');
+      nextPatternIn = CONFIG.fairnessSpacingStep;
+      pickupRollAt = Infinity;
+    }
+
+    function spawnPickup(type, x, y, lane) {
+      sim.pickups.push({ id: nextObstacleId++, type, x, prevX: x, y, lane, z: getLaneZ(lane) });
+    }
+
+    function rollPickupLane() {
+      return lanes ? Math.floor(pickupRandom() * 3) - 1 : 0;
+    }
+
+    function rollPickupHeight() {
+      const heights = CONFIG.pickupHeights;
+      return CONFIG.groundY + heights[Math.floor(pickupRandom() * heights.length)];
+    }
+
+    // Between two obstacles: maybe a power-up, else maybe a row of coins
+    function rollPickups() {
+      if (pickupRandom() < CONFIG.pickupChance) {
+        const type = POWER_UPS[Math.floor(pickupRandom() * POWER_UPS.length)];
+        const y = rollPickupHeight();
+        const lane = rollPickupLane();
+        // Rolled either way, so the coins that follow don't move
+        if (powerUps) spawnPickup(type, CONFIG.spawnX, y, lane);
+      } else if (pickupRandom() < CONFIG.coinChance) {
+        const [min, max] = CONFIG.coinRow;
+        const count = min + Math.floor(pickupRandom() * (max - min + 1));
+        const y = rollPickupHeight();
+        const lane = rollPickupLane();
+        for (let i = 0; i < count; i++) {
+          spawnPickup('coin', CONFIG.spawnX + i * CONFIG.coinSpacing, y, lane);
+        }
+      }
+    }
+
+    function checkCollision(obstacle, dinoBoxes) {
+      if (!depthOverlap(sim.dino.z, CONFIG.dinoHalfDepth, obstacle.z, getHalfDepth(obstacle))) return false;
+      const obstacleBoxes = getObstacleHitboxes(obstacle);
+      return dinoBoxes.some(dinoBox => obstacleBoxes.some(box => boxesOverlap(dinoBox, box)));
+    }
+
+    /**
+     * Advance the game by exactly one tick and return the events it produced
+     * ({ type: 'jump' | 'land' | 'score' | 'death' | 'pickup' | 'coin' |
+     * 'shield' | 'expire' }) for the renderer.
+     */
+    function step() {
+      const events = [];
+      if (sim.over) return events;
+
+      // Feed recorded inputs back in on the tick they originally happened
+      while (replayInputs && replayCursor < replayInputs.length &&
+             replayInputs[replayCursor][0] <= sim.tick) {
+        const entry = replayInputs[replayCursor++];
+        setInput(entry[1], entry[2]);
+      }
+
+      const dino = sim.dino;
+      dino.prevY = dino.y;
+      dino.prevZ = dino.z;
+      dino.ducking = sim.input.duck;
+
+      // Slide towards the chosen lane
+      const laneZ = getLaneZ(dino.lane);
+      const laneStep = CONFIG.laneWidth / CONFIG.laneChangeTicks;
+      dino.z = laneZ > dino.z ? Math.min(laneZ, dino.z + laneStep) : Math.max(laneZ, dino.z - laneStep);
+
+      // Legs run on the ground and hold still mid-air
+      if (!dino.jumping) {
+        dino.legPhase += sim.speed * LEG_PHASE_PER_SPEED;
+        dino.legAngle = Math.sin(dino.legPhase) * CONFIG.legSwing;
+      }
+
+      if (jumpBuffer > 0 && !dino.jumping) {
+        dino.jumping = true;
+        dino.jumpTicks = 0;
+        dino.vy = CONFIG.jumpVelocity;
+        jumpBuffer = 0;
+        events.push({ type: 'jump' });
+      } else if (jumpBuffer > 0) {
+        jumpBuffer--;
+      }
+      const dinoBoxes = getDinoHitboxes(dino);
+
+      POWER_UPS.forEach(powerUp => {
+        if (sim.effects[powerUp] > 0 && --sim.effects[powerUp] === 0) {
+          events.push({ type: 'expire', powerUp });
+        }
+      });
+
+      // Increase speed over time; slow motion scales the whole world down
+      const timeScale = sim.effects.slowMotion > 0 ? CONFIG.slowMotionScale : 1;
+      const runSpeed = (CONFIG.baseSpeed + sim.score * CONFIG.speedPerPoint) *
+        (assist ? CONFIG.assistSpeedScale : 1);
+      sim.speed = runSpeed * timeScale;
+      sim.distance += sim.speed;
+
+      // Spawn obstacles, keeping their spacing the same in slow motion
+      obstacleTimer += timeScale;
+      if (!pickupRolled && obstacleTimer > pickupRollAt) {
+        pickupRolled = true;
+        rollPickups();
+      }
+      if (obstacleTimer > nextPatternIn) {
+        spawnPattern(runSpeed);
+        obstacleTimer = 0;
+        pickupRolled = false;
+      }
+
+      // Move pickups and collect the ones the dino touches
+      for (let i = sim.pickups.length - 1; i >= 0; i--) {
+        const pickup = sim.pickups[i];
+        pickup.prevX = pickup.x;
+        pickup.x -= sim.speed;
+
+        const box = getPickupHitbox(pickup);
+        const sameLane = depthOverlap(dino.z, CONFIG.dinoHalfDepth, pickup.z, CONFIG.pickupSize / 2);
+        if (sameLane && dinoBoxes.some(dinoBox => boxesOverlap(dinoBox, box))) {
+          sim.pickups.splice(i, 1);
+          if (pickup.type === 'coin') {
+            sim.coins++;
+            events.push({ type: 'coin', pickup });
+          } else {
+            sim.effects[pickup.type] = CONFIG.powerUpTicks[pickup.type];
+            events.push({ type: 'pickup', pickup });
+          }
+        } else if (pickup.x < CONFIG.despawnX) {
+          sim.pickups.splice(i, 1);
+        }
+      }
+
+      // Move obstacles, score the ones we passed, detect hits
+      for (let i = sim.obstacles.length - 1; i >= 0; i--) {
+        const obs = sim.obstacles[i];
+        obs.prevX = obs.x;
+        obs.x -= sim.speed;
+        if (obs.type === 'pterodactyl') obs.wingPhase += CONFIG.wingPhasePerTick;
+
+        if (!obs.passed && obs.x < dino.x - 1) {
+          obs.passed = true;
+          if (obs.points > 0) {
+            sim.obstaclesPassed++;
+            sim.score += obs.points * (sim.effects.multiplier > 0 ? CONFIG.scoreMultiplier : 1);
+            events.push({ type: 'score', obstacle: obs });
+          }
+        }
+
+        // The shield takes the hit and smashes the obstacle
+        if (sim.effects.shield > 0 && checkCollision(obs, dinoBoxes)) {
+          sim.effects.shield = 0;
+          sim.obstacles.splice(i, 1);
+          events.push({ type: 'shield', obstacle: obs });
+          continue;
+        }
+
+        if (checkCollision(obs, dinoBoxes)) {
+          sim.over = true;
+          events.push({ type: 'death', obstacle: obs });
+          break;
+        }
+
+        if (obs.x < CONFIG.despawnX) {
+          sim.obstacles.splice(i, 1);
+        }
+      }
+
+      if (!sim.over && dino.jumping && applyJumpPhysics(dino, sim.input.jump)) {
+        events.push({ type: 'land' });
+      }
+
+      sim.tick++;
+      return events;
+    }
+
+    return sim;
+  }
+
+  /**
+   * Pack a recording into a short base64 string for sharing. Inputs are stored
+   * as (tick delta, action code) pairs to keep long runs compact.
+   */
+  function encodeRecording(recording) {
+    const packed = [];
+    let lastTick = 0;
+    recording.inputs.forEach(([tick, action, down]) => {
+      packed.push(tick - lastTick, ACTIONS.indexOf(action) * 2 + (down ? 1 : 0));
+      lastTick = tick;
+    });
+
+    return btoa(JSON.stringify({
+      v: RECORDING_VERSION,
+      m: MODES.indexOf(recording.mode),
+      a: recording.assist ? 1 : 0,
+      p: recording.powerUps === false ? 0 : 1,
+      s: recording.seed,
+      t: recording.ticks,
+      sc: recording.score,
+      i: packed
+    }));
+  }
+
+  function decodeRecording(code) {
+    let data;
+    try {
+      data = JSON.parse(atob(String(code).trim()));
+    } catch (e) {
+      throw new Error('Invalid replay code');
+    }
+    if (!data || data.v !== RECORDING_VERSION || !Array.isArray(data.i) || data.i.length % 2) {
+      throw new Error('Unsupported replay code');
+    }
+
+    const inputs = [];
+    let tick = 0;
+    for (let i = 0; i < data.i.length; i += 2) {
+      const action = ACTIONS[data.i[i + 1] >> 1];
+      if (!action || !(data.i[i] >= 0)) throw new Error('Invalid replay code');
+      tick += data.i[i];
+      inputs.push([tick, action, (data.i[i + 1] & 1) === 1]);
+    }
+
+    return {
+      version: data.v,
+      mode: MODES[data.m] || 'classic',
+      assist: data.a === 1,
+      powerUps: data.p !== 0,
+      seed: data.s >>> 0,
+      inputs,
+      ticks: data.t >>> 0,
+      score: data.sc >>> 0
+    };
+  }
+
+  const DinoSim = {
+    TICK_MS,
+    CONFIG,
+    PATTERNS,
+    DIFFICULTY_CURVE,
+    LANE_PATTERNS,
+    MODES,
+    POWER_UPS,
+    getSpawnInterval,
+    getAvailablePatterns,
+    getClusterOffset,
+    isClearable,
+    isLaneClearable,
+    getLaneZ,
+    createRng,
+    createSimulation,
+    getDinoHitboxes,
+    getObstacleHitboxes,
+    encodeRecording,
+    decodeRecording
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DinoSim;
+  } else {
+    root.DinoSim = DinoSim;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,97 @@
+/**
+ * Dino Run Skins
+ * The cosmetic skin catalogue and the player's coin balance and unlocks,
+ * kept in localStorage. Skins are plain data: game.js turns the model, hat
+ * and trail names into meshes and particles.
+ */
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'dinoSkins';
+  const VERSION = 1;
+  const DEFAULT_SKIN = 'classic';
+
+  // A null body colour follows the site theme, like the original dino
+  const SKINS = [
+    { id: 'classic', name: 'Classic', price: 0, model: 'classic', hat: null, trail: 'dust', palette: { body: null, accent: null } },
+    { id: 'lava', name: 'Lava', price: 50, model: 'classic', hat: null, trail: 'fire', palette: { body: 0xdc2626, accent: 0xf97316 } },
+    { id: 'ocean', name: 'Ocean', price: 50, model: 'classic', hat: null, trail: 'bubbles', palette: { body: 0x0284c7, accent: 0x7dd3fc } },
+    { id: 'party', name: 'Party', price: 100, model: 'classic', hat: 'party', trail: 'confetti', palette: { body: 0x16a34a, accent: 0xec4899 } },
+    { id: 'dapper', name: 'Dapper', price: 150, model: 'classic', hat: 'topHat', trail: 'dust', palette: { body: 0x64748b, accent: 0x1f2937 } },
+    { id: 'royal', name: 'Royal', price: 200, model: 'classic', hat: 'crown', trail: 'sparkle', palette: { body: 0x7c3aed, accent: 0xfacc15 } },
+    { id: 'robot', name: 'Robot', price: 300, model: 'robot', hat: null, trail: 'sparks', palette: { body: 0x94a3b8, accent: 0x22d3ee } },
+    { id: 'skeleton', name: 'Skeleton', price: 400, model: 'skeleton', hat: null, trail: 'wisps', palette: { body: 0xf5f5f4, accent: 0x292524 } }
+  ];
+
+  function getSkin(id) {
+    return SKINS.find(skin => skin.id === id) || SKINS[0];
+  }
+
+  function createWallet() {
+    return { version: VERSION, coins: 0, unlocked: [DEFAULT_SKIN], selected: DEFAULT_SKIN };
+  }
+
+  function load(storage) {
+    let data = null;
+    try {
+      data = JSON.parse(storage.getItem(STORAGE_KEY));
+    } catch (e) {
+      data = null;
+    }
+
+    const wallet = createWallet();
+    if (!data || data.version !== VERSION) return wallet;
+
+    wallet.coins = Math.max(0, Math.floor(Number(data.coins) || 0));
+    if (Array.isArray(data.unlocked)) {
+      data.unlocked.forEach(id => {
+        if (getSkin(id).id === id && wallet.unlocked.indexOf(id) === -1) wallet.unlocked.push(id);
+      });
+    }
+    if (wallet.unlocked.indexOf(data.selected) !== -1) wallet.selected = data.selected;
+    return wallet;
+  }
+
+  function save(storage, wallet) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(wallet));
+  }
+
+  function isUnlocked(wallet, id) {
+    return wallet.unlocked.indexOf(id) !== -1;
+  }
+
+  /**
+   * Spend coins on a skin. Returns false, leaving the wallet untouched, when
+   * the balance is too low; owning the skin already costs nothing.
+   */
+  function unlock(wallet, id) {
+    const skin = getSkin(id);
+    if (isUnlocked(wallet, skin.id)) return true;
+    if (wallet.coins < skin.price) return false;
+
+    wallet.coins -= skin.price;
+    wallet.unlocked.push(skin.id);
+    return true;
+  }
+
+  function select(wallet, id) {
+    if (isUnlocked(wallet, id)) wallet.selected = id;
+  }
+
+  const DinoSkins = {
+    SKINS,
+    getSkin,
+    load,
+    save,
+    isUnlocked,
+    unlock,
+    select
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DinoSkins;
+  } else {
+    root.DinoSkins = DinoSkins;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -1,6 +1,7 @@
 /**
  * 3D Chrome Dino Game
- * A Three.js implementation of the classic Chrome dinosaur game
+ * A Three.js implementation of the classic Chrome dinosaur game.
+ * Gameplay lives in game-sim.js; this file renders it and feeds it input.
  */
 
 (function() {
@@ -9,26 +10,85 @@
   const canvas = document.getElementById('game-canvas');
   if (!canvas) return;
 
+  const Sim = window.DinoSim;
+  const Leaderboard = window.DinoLeaderboard;
+  const Sound = window.DinoAudio;
+  const Skins = window.DinoSkins;
+  const Daily = window.DinoDaily;
+  const Quality = window.SiteQuality;
+  const ThreeLoader = window.SiteThree;
+  const Canvas2D = window.DinoCanvas2D;
+  const Controls = window.DinoControls;
+  const Motion = window.SiteMotion;
+  if (!Sim || !Leaderboard || !Sound || !Skins || !Daily || !Quality || !ThreeLoader || !Canvas2D || !Controls || !Motion) return;
+
   let scene, camera, renderer;
-  let dino, ground;
-  let obstacles = [];
+  let dino, ghost, ground;
+  let ambientLight, directionalLight;
+  let centerLines = [];
+  let stagePalettes = [];
+  let environmentLevel = 0;
+  let environmentColor;
+  let sim = null;
+  const obstacleMeshes = new Map();
+  const pickupMeshes = new Map();
   let particles = [];
+  const geometryCache = new Map();
+  const obstaclePools = {};
+  const pickupPools = {};
+  const particlePool = [];
+  let obstacleMaterials = null;
+  const pickupMaterials = {};
   let stars = [];
   let isInitialized = false;
   let gameStarted = false;
-  let gameOver = false;
-  let score = 0;
-  let highScore = parseInt(localStorage.getItem('dinoHighScore')) || 0;
-  let speed = 0.15;
-  let baseSpeed = 0.15;
-  let jumpVelocity = 0;
-  let isJumping = false;
-  let isDucking = false;
-  let gravity = 0.015;
-  let groundY = -2;
-  let obstacleTimer = 0;
-  let lastTime = 0;
+  let gameMode = localStorage.getItem('dinoMode') === 'lanes' ? 'lanes' : 'classic';
+  let leaderboard = Leaderboard.load(localStorage, gameMode);
+  let highScore = Leaderboard.bestScore(leaderboard);
+  let pendingEntry = null;
+  // The mode whose board pendingEntry sits on; the player may switch modes before saving
+  let pendingMode = null;
+  let runType = localStorage.getItem('dinoRunType') === 'daily' ? 'daily' : 'endless';
+  let daily = Daily.load(localStorage);
+  // UTC date of the daily run being played, null for endless runs and replays
+  let runDate = null;
+  let dailyResult = null;
+  let menuScreen = null;
+  // The overlays and menus hidden behind the open menu, innermost last
+  let menuTrail = [];
+  let controls = Controls.load(localStorage);
+  // The key slot waiting for a new key in the controls panel, if any
+  let rebinding = null;
+  let wallet = Skins.load(localStorage);
+  let lastRecording = loadSavedRecording();
+  let ghostRun = loadGhostRun();
+  let ghostEnabled = localStorage.getItem('dinoGhostEnabled') !== 'false';
+  // Opt-in: during a run, take game keys from anywhere on the page
+  let captureKeysGlobally = localStorage.getItem('dinoCaptureKeys') === 'true';
+  let highContrast = localStorage.getItem('dinoContrast') === 'high';
+  let assistEnabled = localStorage.getItem('dinoAssist') === 'true';
+  // Obstacles that already got their assist cue this run
+  const cuedObstacles = new Set();
+  let runTrace = [];
+  const groundY = Sim.CONFIG.groundY;
+  let accumulator = 0;
+  let lastTime = null;
+  let frameId = null;
+  let paused = false;
+  let resumeCountdown = 0;
+  let canvasOnScreen = true;
+  // Without WebGL the same game is drawn by the 2D renderer instead
+  let flatRenderer = null;
+  let contextLost = false;
+  let contextRestoreTimer = null;
+  let lastMilestone = 0;
+  let gamepadIndex = null;
+  let gamepadHeld = { jump: false, duck: false, left: false, right: false, start: false };
+  let gamepadPollId = null;
+  let gamepadHintTimer = null;
   let colors;
+  let quality = Quality.getProfile();
+  let reducedMotion = Motion.isReduced();
 
   // Ground elements
   let groundLines = [];
@@ -39,10 +99,156 @@
   const highScoreEl = document.getElementById('game-high-score');
   const startScreen = document.getElementById('game-start');
   const gameOverScreen = document.getElementById('game-over');
+  const pauseScreen = document.getElementById('game-paused');
+  const pauseTitleEl = document.getElementById('game-paused-title');
+  const pauseHintEl = document.getElementById('game-paused-hint');
+  const pauseButton = document.getElementById('game-pause');
+  const gamepadHintEl = document.getElementById('game-gamepad-hint');
+  const leaderboardScreen = document.getElementById('game-leaderboard');
+  const leaderboardBody = document.getElementById('game-leaderboard-body');
+  const leaderboardEmpty = document.getElementById('game-leaderboard-empty');
+  const leaderboardFile = document.getElementById('game-leaderboard-file');
+  const leaderboardTitle = document.getElementById('game-leaderboard-title');
+  const skinsScreen = document.getElementById('game-skins');
+  const skinsGrid = document.getElementById('game-skins-grid');
+  const skinsCoinsEl = document.getElementById('game-skins-coins');
+  const controlsScreen = document.getElementById('game-controls-panel');
+  const bindingsGrid = document.getElementById('game-bindings');
+  const bindingsStatusEl = document.getElementById('game-bindings-status');
+  const settingsScreen = document.getElementById('game-settings');
+  const controlsListEl = document.getElementById('game-controls-list');
+  const gameOverHintEl = document.getElementById('game-over-hint');
+  const coinsEl = document.getElementById('game-coins');
+  const streakDisplay = document.getElementById('game-streak-display');
+  const streakEl = document.getElementById('game-streak');
+  const dailyInfoEl = document.getElementById('game-daily-info');
+  const initialsForm = document.getElementById('game-initials');
+  const initialsInput = document.getElementById('game-initials-input');
+  const muteButton = document.getElementById('game-mute');
+  const volumeInput = document.getElementById('game-volume');
   const finalScoreEl = document.getElementById('final-score');
+  const replayBadge = document.getElementById('game-replay-badge');
+  const ghostDisplay = document.getElementById('game-ghost-display');
+  const ghostDeltaEl = document.getElementById('game-ghost-delta');
+  const announcerEl = document.getElementById('game-announcer');
+  const assistNoteEl = document.getElementById('game-assist-note');
+  const powerUpEls = {};
+  Sim.POWER_UPS.forEach(powerUp => {
+    powerUpEls[powerUp] = document.getElementById('game-powerup-' + powerUp);
+  });
+
+  // Ghost trajectories keep one sample of [height, ducking, distance, score] every few ticks
+  const GHOST_SAMPLE_TICKS = 4;
+  const GHOST_SAMPLE_SIZE = 4;
+  const GHOST_VERSION = 1;
+
+  // A lost WebGL context gets this long to come back before the 2D renderer takes over
+  const CONTEXT_RESTORE_TIMEOUT_MS = 3000;
+
+  // Resuming counts down 3, 2, 1 before the run continues
+  const RESUME_STEP_MS = 700;
+  const RESUME_STEPS = 3;
+
+  // A chime plays every time the score crosses a multiple of this
+  const MILESTONE_POINTS = 1000;
+
+  // Reduced motion keeps this share of each particle burst and drops the camera shake
+  const REDUCED_MOTION_EFFECTS = 0.25;
+
+  // Assist mode cues an obstacle this many ticks before it reaches the dino
+  const ASSIST_CUE_TICKS = 50;
+  // Screen readers skip a live region that changes to the text it already has
+  const ANNOUNCE_DELAY_MS = 100;
+
+  // ?debug in the URL logs every spawn the fairness checker rejects
+  const DEBUG = new URLSearchParams(window.location.search).has('debug');
+
+  // Power-up effects blink through their last two seconds
+  const POWER_UP_WARNING_TICKS = 120;
+  const POWER_UP_COLORS = { shield: 0x38bdf8, slowMotion: 0xa855f7, multiplier: 0xfacc15 };
+  const COIN_COLOR = 0xfbbf24;
+
+  // Standard Gamepad API button layout
+  const GAMEPAD_BUTTONS = { a: 0, b: 1, start: 9, up: 12, down: 13, left: 14, right: 15 };
+  const GAMEPAD_STICK_THRESHOLD = 0.5;
+
+  /*
+   * The environment moves through these stages as the score rises. Each one
+   * pulls the theme's colours `mix` of the way towards its own, so light and
+   * dark themes get lighter and darker takes on the same stage.
+   */
+  const ENVIRONMENT_STAGES = [
+    {
+      name: 'day', minScore: 0, mix: 0, colors: null,
+      skyOpacity: 0, ambient: 0.6, directional: 0.8, starDensity: 0.5
+    },
+    {
+      name: 'dusk', minScore: 1000, mix: 0.6,
+      colors: { sky: 0xf97316, ground: 0x3f2a24, groundLine: 0xf59e0b, star: 0xfbbf24, light: 0xffb27a },
+      skyOpacity: 0.3, ambient: 0.5, directional: 0.65, starDensity: 0.25
+    },
+    {
+      name: 'night', minScore: 2500, mix: 0.8,
+      colors: { sky: 0x0b1026, ground: 0x0f172a, groundLine: 0x6366f1, star: 0xe0e7ff, light: 0x9db4ff },
+      skyOpacity: 0.7, ambient: 0.35, directional: 0.45, starDensity: 1
+    },
+    {
+      name: 'neon', minScore: 5000, mix: 0.9,
+      colors: { sky: 0x1a0033, ground: 0x120024, groundLine: 0xff00e5, star: 0x22d3ee, light: 0xff4df0 },
+      skyOpacity: 0.8, ambient: 0.5, directional: 0.9, starDensity: 0.8
+    }
+  ];
+  // Light theme keeps stages subtler so the page doesn't turn dark around it
+  const LIGHT_THEME_STAGE_MIX = 0.6;
+  const ENVIRONMENT_BLEND_RATE = 0.02;
+  const MAX_STARS = 400;
+  const gameContainer = canvas.parentElement;
+
+  // Lane mode looks down on the track from higher up so the lanes read
+  const CAMERA_HEIGHTS = { classic: 2, lanes: 4.5 };
+  const SWIPE_MIN_PX = 30;
+
+  // Score card image, sized for social previews
+  const CARD_WIDTH = 1200;
+  const CARD_HEIGHT = 630;
+  const CARD_PADDING = 48;
+  const CARD_SNAPSHOT_HEIGHT = 380;
+  const CARD_BRAND = 'felps.dev';
+  let cameraHeight = CAMERA_HEIGHTS[gameMode];
+  let laneLines = [];
+  let swipeStart = null;
+
+  function isDarkTheme() {
+    return document.documentElement.getAttribute('data-theme') !== 'light';
+  }
+
+  // Pure black and white with saturated entities, for either theme
+  const HIGH_CONTRAST_COLORS = {
+    dark: {
+      primary: 0xffffff,
+      secondary: 0xffd400,
+      dino: 0x00e5ff,
+      ground: 0x000000,
+      groundLine: 0xffffff,
+      obstacle: 0xff4d4d,
+      particle: 0xffffff,
+      sky: 0x000000
+    },
+    light: {
+      primary: 0x000000,
+      secondary: 0x6d00c2,
+      dino: 0x0044cc,
+      ground: 0xffffff,
+      groundLine: 0x000000,
+      obstacle: 0xc00000,
+      particle: 0x000000,
+      sky: 0xffffff
+    }
+  };
 
   function getThemeColors() {
-    const isDark = document.documentElement.getAttribute('data-theme') !== 'light';
+    const isDark = isDarkTheme();
+    if (highContrast) return Object.assign({}, HIGH_CONTRAST_COLORS[isDark ? 'dark' : 'light']);
     return {
       primary: isDark ? 0x3b82f6 : 0x2563eb,
       secondary: isDark ? 0x8b5cf6 : 0x7c3aed,
@@ -60,25 +266,32 @@
     isInitialized = true;
 
     colors = getThemeColors();
+    obstacleMaterials = {
+      cactus: createEntityMaterial(colors.obstacle, 0.3),
+      pterodactyl: createEntityMaterial(colors.secondary, 0.3)
+    };
 
     // Scene setup
     scene = new THREE.Scene();
 
     const aspect = canvas.clientWidth / canvas.clientHeight;
     camera = new THREE.PerspectiveCamera(60, aspect, 0.1, 1000);
-    camera.position.set(0, 2, 12);
+    camera.position.set(0, cameraHeight, 12);
     camera.lookAt(0, 0, 0);
 
-    renderer = new THREE.WebGLRenderer({
-      canvas,
-      antialias: true,
-      alpha: true
-    });
-    renderer.setSize(canvas.clientWidth, canvas.clientHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer = createWebGLRenderer();
+    if (renderer) {
+      renderer.setSize(canvas.clientWidth, canvas.clientHeight);
+      renderer.setPixelRatio(Quality.getPixelRatio());
+      canvas.addEventListener('webglcontextlost', onContextLost);
+      canvas.addEventListener('webglcontextrestored', onContextRestored);
+    } else {
+      startFlatRenderer();
+    }
 
-    // Create dino
+    // Create dino and its personal-best ghost
     createDino();
+    createGhost();
 
     // Create ground
     createGround();
@@ -87,16 +300,22 @@
     createStars();
 
     // Lighting
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
     scene.add(ambientLight);
 
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
     directionalLight.position.set(5, 10, 5);
     scene.add(directionalLight);
 
-    // Event listeners
+    // Day/night stages start at day
+    environmentColor = new THREE.Color();
+    stagePalettes = ENVIRONMENT_STAGES.map(resolveStage);
+    applyEnvironment();
+
+    // Event listeners; onKeyDown only acts on keys the game owns
     window.addEventListener('keydown', onKeyDown);
     window.addEventListener('keyup', onKeyUp);
+    gameContainer.addEventListener('focusout', onFocusOut);
 
     // Pointer events work for both mouse and touch
     canvas.addEventListener('mousedown', onPointerDown);
@@ -105,101 +324,362 @@
     canvas.addEventListener('touchend', onPointerUp, { passive: false });
     window.addEventListener('resize', onResize);
 
-    // Add handlers to overlays for mobile support
-    if (startScreen) {
-      startScreen.addEventListener('mousedown', onPointerDown);
-      startScreen.addEventListener('mouseup', onPointerUp);
-      startScreen.addEventListener('touchstart', onPointerDown, { passive: false });
-      startScreen.addEventListener('touchend', onPointerUp, { passive: false });
-    }
-    if (gameOverScreen) {
-      gameOverScreen.addEventListener('mousedown', onPointerDown);
-      gameOverScreen.addEventListener('mouseup', onPointerUp);
-      gameOverScreen.addEventListener('touchstart', onPointerDown, { passive: false });
-      gameOverScreen.addEventListener('touchend', onPointerUp, { passive: false });
+    // Overlays act on a click: a tap makes one, a swipe that scrolls the overlay doesn't
+    [startScreen, gameOverScreen, pauseScreen].forEach(overlay => {
+      if (overlay) overlay.addEventListener('click', onOverlayClick);
+    });
+
+    // Pause automatically when the player can't see the game
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('blur', pauseGame);
+    if ('IntersectionObserver' in window) {
+      const visibilityObserver = new IntersectionObserver(onCanvasIntersect);
+      visibilityObserver.observe(canvas);
     }
 
+    // Controllers can be plugged in and out at any time
+    window.addEventListener('gamepadconnected', onGamepadConnected);
+    window.addEventListener('gamepaddisconnected', onGamepadDisconnected);
+
     // Theme observer
     const themeObserver = new MutationObserver(onThemeChange);
     themeObserver.observe(document.documentElement, {
       attributes: true,
       attributeFilter: ['data-theme']
     });
+    Quality.onChange(onQualityChange);
+    Motion.onChange(onMotionChange);
+
+    // Overlay buttons and forms
+    bindOverlayActions();
+    if (initialsForm) {
+      stopOverlayPointer(initialsForm);
+      initialsForm.addEventListener('submit', onInitialsSubmit);
+    }
+    if (leaderboardFile) leaderboardFile.addEventListener('change', onLeaderboardImport);
+    if (skinsGrid) {
+      stopOverlayPointer(skinsGrid);
+      skinsGrid.addEventListener('click', onSkinClick);
+    }
+    if (bindingsGrid) {
+      stopOverlayPointer(bindingsGrid);
+      bindingsGrid.addEventListener('click', onBindingClick);
+      bindingsGrid.addEventListener('keydown', onBindingKeyDown);
+    }
+    updateControlHints();
+    updateCoins();
+    if (volumeInput) {
+      volumeInput.addEventListener('input', onVolumeInput);
+      volumeInput.addEventListener('change', focusGame);
+    }
+    updateAudioControls();
+    updateReplayActions();
+    updateGhostToggle();
+    updateKeyCaptureToggle();
+    updateContrastToggle();
+    updateAssistToggle();
+    updateModeToggle();
+    updateRunType();
+
+    syncLoop();
+  }
+
+  // Null when WebGL is missing, disabled or blocklisted
+  function createWebGLRenderer() {
+    if (!window.WebGLRenderingContext) return null;
+
+    try {
+      return new THREE.WebGLRenderer({
+        canvas,
+        antialias: true,
+        alpha: true,
+        // Keeps the last frame readable for the score card
+        preserveDrawingBuffer: true
+      });
+    } catch (e) {
+      console.warn('[Dino] WebGL unavailable, using the 2D renderer: ' + e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Switch to the 2D renderer. It draws on its own canvas laid over the WebGL
+   * one, since a canvas that ever had a WebGL context can't hand out a 2D
+   * one; input and visibility tracking stay on the original canvas.
+   */
+  function startFlatRenderer() {
+    const flatCanvas = document.createElement('canvas');
+    flatCanvas.className = 'game-canvas-2d';
+    canvas.after(flatCanvas);
+
+    if (renderer) renderer.dispose();
+    renderer = null;
+    flatRenderer = Canvas2D.createRenderer(flatCanvas, Object.assign({ coin: COIN_COLOR }, POWER_UP_COLORS));
+    flatRenderer.setSize(canvas.clientWidth, canvas.clientHeight, Quality.getPixelRatio());
+  }
+
+  function renderFrame() {
+    if (flatRenderer) {
+      flatRenderer.render(getFlatView());
+    } else {
+      renderer.render(scene, camera);
+    }
+  }
+
+  // What the 2D renderer needs from the 3D scene's current state
+  function getFlatView() {
+    const skin = Skins.getSkin(wallet.selected);
+    return {
+      sim,
+      alpha: sim && !sim.over ? accumulator / Sim.TICK_MS : 1,
+      colors,
+      dinoColor: skin.palette.body === null ? colors.dino : skin.palette.body,
+      dinoVisible: dino.visible,
+      ghost: ghost.visible ? ghost.userData.pose : null,
+      particles: particles.map(p => ({
+        x: p.position.x,
+        y: p.position.y,
+        z: p.position.z,
+        color: p.material.color.getHex(),
+        opacity: p.material.opacity
+      })),
+      shake: { x: camera.position.x, y: camera.position.y - cameraHeight }
+    };
+  }
+
+  // The browser may drop the GPU context at any time; three.js keeps it restorable
+  function onContextLost() {
+    contextLost = true;
+    pauseGame();
+    if (pauseTitleEl) pauseTitleEl.textContent = 'Graphics paused';
+    if (pauseHintEl) pauseHintEl.textContent = 'Restoring the 3D view\u2026';
+    syncLoop();
+
+    contextRestoreTimer = setTimeout(() => {
+      contextLost = false;
+      startFlatRenderer();
+      onContextSettled();
+    }, CONTEXT_RESTORE_TIMEOUT_MS);
+  }
 
-    // Update high score display
-    if (highScoreEl) highScoreEl.textContent = highScore;
+  function onContextRestored() {
+    if (!contextLost) return;
+    clearTimeout(contextRestoreTimer);
+    contextLost = false;
+    onContextSettled();
+  }
 
-    animate(0);
+  function onContextSettled() {
+    if (pauseTitleEl) pauseTitleEl.textContent = 'Paused';
+    if (pauseHintEl) pauseHintEl.textContent = getPauseHint();
+    syncLoop();
+    if (frameId === null) renderFrame();
   }
 
+  // Build the dino in the selected skin, replacing the current one in place
   function createDino() {
-    const dinoGroup = new THREE.Group();
+    const previous = dino;
+
+    dino = buildDino(Skins.getSkin(wallet.selected));
+    dino.position.set(Sim.CONFIG.dinoX, groundY + 0.4, 0);
+    dino.userData.baseY = groundY + 0.4;
+    dino.userData.effects = createPowerUpEffects(dino);
+
+    if (previous) {
+      dino.position.y = previous.position.y;
+      dino.scale.y = previous.scale.y;
+      dino.visible = previous.visible;
+      scene.remove(previous);
+      disposeObject(previous);
+    }
+    scene.add(dino);
+  }
 
-    // Body
-    const bodyGeom = new THREE.BoxGeometry(1.2, 1.4, 0.8);
-    const dinoMat = new THREE.MeshPhongMaterial({
+  // One visual per power-up, attached to the dino and shown while it lasts
+  function createPowerUpEffects(group) {
+    const effectMat = color => new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.5,
+      depthWrite: false
+    });
+
+    // Shield: a bubble around the whole dino
+    const shieldMat = effectMat(POWER_UP_COLORS.shield);
+    shieldMat.opacity = 0.2;
+    const shield = new THREE.Mesh(new THREE.SphereGeometry(1.5, 16, 12), shieldMat);
+    shield.position.set(-0.2, 0.7, 0);
+
+    // Slow motion: a ring turning slowly around the feet
+    const slowMotion = new THREE.Mesh(new THREE.TorusGeometry(1.1, 0.05, 6, 32), effectMat(POWER_UP_COLORS.slowMotion));
+    slowMotion.position.y = -0.35;
+    slowMotion.rotation.x = Math.PI / 2;
+
+    // Score multiplier: a golden halo above the head
+    const multiplier = new THREE.Mesh(new THREE.TorusGeometry(0.35, 0.06, 6, 24), effectMat(POWER_UP_COLORS.multiplier));
+    multiplier.position.set(0.5, 2.2, 0);
+    multiplier.rotation.x = Math.PI / 2;
+
+    const effects = { shield, slowMotion, multiplier };
+    Object.keys(effects).forEach(powerUp => {
+      effects[powerUp].visible = false;
+      group.add(effects[powerUp]);
+    });
+    return effects;
+  }
+
+  // Translucent copy of the dino that re-runs the best run's trajectory
+  function createGhost() {
+    const ghostMat = new THREE.MeshBasicMaterial({
       color: colors.dino,
-      emissive: colors.dino,
+      transparent: true,
+      opacity: 0.25,
+      depthWrite: false
+    });
+
+    ghost = buildDino(Skins.getSkin('classic'), ghostMat);
+    ghost.position.set(Sim.CONFIG.dinoX, groundY + 0.4, -1.5);
+    ghost.visible = false;
+    scene.add(ghost);
+  }
+
+  /*
+   * Dino meshes as data. Every model shares the base parts, which match the
+   * simulation's hitboxes; models and hats only add cosmetic parts. Sizes are
+   * box [w, h, d], sphere [r], cone [r, h] or cylinder [top, bottom, h], and
+   * parts with a parent are placed relative to it.
+   */
+  const DINO_BASE_PARTS = [
+    { name: 'body', shape: 'box', size: [1.2, 1.4, 0.8], position: [0, 0.7, 0] },
+    { name: 'head', shape: 'box', size: [0.9, 0.7, 0.7], position: [0.5, 1.5, 0] },
+    { name: 'legL', shape: 'box', size: [0.3, 0.6, 0.3], position: [-0.2, -0.1, 0.2] },
+    { name: 'legR', shape: 'box', size: [0.3, 0.6, 0.3], position: [-0.2, -0.1, -0.2] },
+    // Tail
+    { shape: 'box', size: [1, 0.5, 0.4], position: [-1, 0.8, 0], rotation: [0, 0, -0.2] },
+    // Arms (small T-Rex arms)
+    { shape: 'box', size: [0.2, 0.4, 0.2], position: [0.5, 0.6, 0.4], rotation: [0, 0, 0.5] },
+    { shape: 'box', size: [0.2, 0.4, 0.2], position: [0.5, 0.6, -0.4], rotation: [0, 0, 0.5] }
+  ];
+
+  const DINO_MODELS = {
+    classic: [
+      { shape: 'sphere', size: [0.1], position: [0.85, 1.6, 0.2], material: 'eye' },
+      { shape: 'sphere', size: [0.05], position: [0.92, 1.6, 0.22], material: 'pupil' }
+    ],
+    robot: [
+      // Visor, chest panel and antenna
+      { shape: 'box', size: [0.1, 0.15, 0.6], position: [0.96, 1.6, 0], material: 'accent' },
+      { shape: 'box', size: [0.05, 0.5, 0.5], position: [0.61, 0.8, 0], material: 'accent' },
+      { shape: 'cylinder', size: [0.03, 0.03, 0.4], position: [0, 0.55, 0], parent: 'head' },
+      { shape: 'sphere', size: [0.08], position: [0, 0.78, 0], parent: 'head', material: 'accent' }
+    ],
+    skeleton: [
+      // Eye socket and ribs
+      { shape: 'sphere', size: [0.12], position: [0.85, 1.6, 0.2], material: 'accent' },
+      { shape: 'box', size: [1.22, 0.08, 0.82], position: [0, 0.5, 0], material: 'accent' },
+      { shape: 'box', size: [1.22, 0.08, 0.82], position: [0, 0.75, 0], material: 'accent' },
+      { shape: 'box', size: [1.22, 0.08, 0.82], position: [0, 1, 0], material: 'accent' }
+    ]
+  };
+
+  // The head's top face sits at y 0.35 in its own space
+  const DINO_HATS = {
+    party: [
+      { shape: 'cone', size: [0.22, 0.5], position: [0, 0.6, 0], rotation: [0, 0, -0.2], parent: 'head', material: 'accent' }
+    ],
+    topHat: [
+      { shape: 'cylinder', size: [0.42, 0.42, 0.05], position: [0, 0.38, 0], parent: 'head', material: 'accent' },
+      { shape: 'cylinder', size: [0.26, 0.26, 0.45], position: [0, 0.6, 0], parent: 'head', material: 'accent' }
+    ],
+    crown: [
+      { shape: 'cylinder', size: [0.3, 0.3, 0.15], position: [0, 0.43, 0], parent: 'head', material: 'accent' },
+      { shape: 'cone', size: [0.08, 0.2], position: [0.2, 0.6, 0], parent: 'head', material: 'accent' },
+      { shape: 'cone', size: [0.08, 0.2], position: [0, 0.6, 0], parent: 'head', material: 'accent' },
+      { shape: 'cone', size: [0.08, 0.2], position: [-0.2, 0.6, 0], parent: 'head', material: 'accent' }
+    ]
+  };
+
+  // Particle looks for createJumpParticles; null colours use the theme's particle colour
+  const PARTICLE_TRAILS = {
+    dust: { colors: null, shape: 'sphere', size: 0.08, lift: 0 },
+    fire: { colors: [0xef4444, 0xf97316, 0xfacc15], shape: 'tetra', size: 0.1, lift: 0.05 },
+    bubbles: { colors: [0x7dd3fc, 0xe0f2fe], shape: 'sphere', size: 0.12, lift: 0.05 },
+    confetti: { colors: [0xec4899, 0x22c55e, 0xfacc15, 0x38bdf8], shape: 'box', size: 0.1, lift: 0.03 },
+    sparkle: { colors: [0xfacc15, 0xffffff], shape: 'octa', size: 0.09, lift: 0.03 },
+    sparks: { colors: [0x22d3ee, 0xe0f2fe], shape: 'box', size: 0.05, lift: 0.02 },
+    wisps: { colors: [0xd6d3d1, 0xa8a29e], shape: 'sphere', size: 0.1, lift: 0.08 }
+  };
+
+  function createPartGeometry(shape, size) {
+    switch (shape) {
+      case 'sphere':
+        return new THREE.SphereGeometry(size[0], 8, 8);
+      case 'cone':
+        return new THREE.ConeGeometry(size[0], size[1], 8);
+      case 'cylinder':
+        return new THREE.CylinderGeometry(size[0], size[1], size[2], 12);
+      case 'tetra':
+        return new THREE.TetrahedronGeometry(size[0]);
+      case 'octa':
+        return new THREE.OctahedronGeometry(size[0]);
+      default:
+        return new THREE.BoxGeometry(size[0], size[1] || size[0], size[2] || size[0]);
+    }
+  }
+
+  function createSkinMaterials(skin) {
+    const body = skin.palette.body === null ? colors.dino : skin.palette.body;
+    const accent = skin.palette.accent === null ? colors.dino : skin.palette.accent;
+    const bodyMat = new THREE.MeshPhongMaterial({
+      color: body,
+      emissive: body,
       emissiveIntensity: 0.2,
       flatShading: true
     });
-    const body = new THREE.Mesh(bodyGeom, dinoMat);
-    body.position.y = 0.7;
-    dinoGroup.add(body);
-
-    // Head
-    const headGeom = new THREE.BoxGeometry(0.9, 0.7, 0.7);
-    const head = new THREE.Mesh(headGeom, dinoMat);
-    head.position.set(0.5, 1.5, 0);
-    dinoGroup.add(head);
-
-    // Eye
-    const eyeGeom = new THREE.SphereGeometry(0.1, 8, 8);
-    const eyeMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
-    const eye = new THREE.Mesh(eyeGeom, eyeMat);
-    eye.position.set(0.85, 1.6, 0.2);
-    dinoGroup.add(eye);
-
-    // Pupil
-    const pupilGeom = new THREE.SphereGeometry(0.05, 8, 8);
-    const pupilMat = new THREE.MeshBasicMaterial({ color: 0x000000 });
-    const pupil = new THREE.Mesh(pupilGeom, pupilMat);
-    pupil.position.set(0.92, 1.6, 0.22);
-    dinoGroup.add(pupil);
-
-    // Legs
-    const legGeom = new THREE.BoxGeometry(0.3, 0.6, 0.3);
-    const legL = new THREE.Mesh(legGeom, dinoMat);
-    legL.position.set(-0.2, -0.1, 0.2);
-    dinoGroup.add(legL);
-
-    const legR = new THREE.Mesh(legGeom, dinoMat);
-    legR.position.set(-0.2, -0.1, -0.2);
-    dinoGroup.add(legR);
+    // Theme changes only recolour skins that follow the theme
+    bodyMat.userData.themed = skin.palette.body === null;
 
-    // Tail
-    const tailGeom = new THREE.BoxGeometry(1, 0.5, 0.4);
-    const tail = new THREE.Mesh(tailGeom, dinoMat);
-    tail.position.set(-1, 0.8, 0);
-    tail.rotation.z = -0.2;
-    dinoGroup.add(tail);
+    return {
+      body: bodyMat,
+      accent: new THREE.MeshPhongMaterial({
+        color: accent,
+        emissive: accent,
+        emissiveIntensity: 0.4,
+        flatShading: true
+      }),
+      eye: new THREE.MeshBasicMaterial({ color: 0xffffff }),
+      pupil: new THREE.MeshBasicMaterial({ color: 0x000000 })
+    };
+  }
 
-    // Arms (small T-Rex arms)
-    const armGeom = new THREE.BoxGeometry(0.2, 0.4, 0.2);
-    const armL = new THREE.Mesh(armGeom, dinoMat);
-    armL.position.set(0.5, 0.6, 0.4);
-    armL.rotation.z = 0.5;
-    dinoGroup.add(armL);
-
-    const armR = new THREE.Mesh(armGeom, dinoMat);
-    armR.position.set(0.5, 0.6, -0.4);
-    armR.rotation.z = 0.5;
-    dinoGroup.add(armR);
-
-    dinoGroup.position.set(-4, groundY + 0.4, 0);
-    dino = dinoGroup;
-    dino.userData = { legL, legR, head, baseY: groundY + 0.4 };
-    scene.add(dino);
+  /**
+   * Build a dino for a skin. With a material, every part uses it instead of
+   * the skin's palette (the ghost's translucent look).
+   */
+  function buildDino(skin, material) {
+    const dinoGroup = new THREE.Group();
+    const materials = material ? null : createSkinMaterials(skin);
+    const named = {};
+
+    const parts = DINO_BASE_PARTS
+      .concat(DINO_MODELS[skin.model] || DINO_MODELS.classic)
+      .concat(DINO_HATS[skin.hat] || []);
+
+    parts.forEach(part => {
+      const mesh = new THREE.Mesh(
+        createPartGeometry(part.shape, part.size),
+        material || materials[part.material || 'body']
+      );
+      mesh.position.set(part.position[0], part.position[1], part.position[2]);
+      if (part.rotation) mesh.rotation.set(part.rotation[0], part.rotation[1], part.rotation[2]);
+
+      // Hats sit on the head so they bob with it
+      (part.parent ? named[part.parent] : dinoGroup).add(mesh);
+      if (part.name) named[part.name] = mesh;
+    });
+
+    dinoGroup.userData = { legL: named.legL, legR: named.legR, head: named.head };
+    return dinoGroup;
   }
 
   function createGround() {
@@ -228,9 +708,22 @@
       const line = new THREE.Mesh(lineGeom, lineMat.clone());
       line.position.set(-30 + i * 4, groundY - 0.35, 0);
       groundLines.push(line);
+      centerLines.push(line);
       scene.add(line);
     }
 
+    // Lane mode dividers, halfway between the lanes
+    [-0.5, 0.5].forEach(side => {
+      for (let i = 0; i < 20; i++) {
+        const lineGeom = new THREE.BoxGeometry(2, 0.05, 0.15);
+        const line = new THREE.Mesh(lineGeom, lineMat.clone());
+        line.position.set(-30 + i * 4, groundY - 0.35, side * Sim.CONFIG.laneWidth);
+        groundLines.push(line);
+        laneLines.push(line);
+        scene.add(line);
+      }
+    });
+
     // Edge lines (continuous glowing lines on sides)
     const edgeMat = new THREE.MeshBasicMaterial({
       color: colors.primary,
@@ -286,11 +779,11 @@
   }
 
   function createStars() {
+    // Stages show more or fewer of these through the draw range
     const starGeom = new THREE.BufferGeometry();
-    const starCount = 200;
-    const positions = new Float32Array(starCount * 3);
+    const positions = new Float32Array(MAX_STARS * 3);
 
-    for (let i = 0; i < starCount * 3; i += 3) {
+    for (let i = 0; i < MAX_STARS * 3; i += 3) {
       positions[i] = (Math.random() - 0.5) * 80;
       positions[i + 1] = Math.random() * 20 + 5;
       positions[i + 2] = (Math.random() - 0.5) * 40 - 20;
@@ -310,100 +803,170 @@
     scene.add(starField);
   }
 
-  function createObstacle() {
-    const type = Math.random();
-    let obstacle;
+  /**
+   * Geometries are shared by every mesh that needs the same shape, keyed by
+   * name, so spawning never allocates GPU buffers once the pools are warm.
+   */
+  function getGeometry(key, build) {
+    let geometry = geometryCache.get(key);
+    if (!geometry) {
+      geometry = build();
+      geometryCache.set(key, geometry);
+    }
+    return geometry;
+  }
+
+  function createEntityMaterial(color, emissiveIntensity) {
+    return new THREE.MeshPhongMaterial({
+      color,
+      emissive: color,
+      emissiveIntensity,
+      flatShading: true
+    });
+  }
+
+  // Obstacles and pickups come out of per-type pools and go back when they leave the scene
+  function acquireMesh(pools, type, build) {
+    const pool = pools[type] || (pools[type] = []);
+    const mesh = pool.pop() || build();
+    mesh.userData.type = type;
+    scene.add(mesh);
+    return mesh;
+  }
+
+  function releaseMesh(pools, mesh) {
+    scene.remove(mesh);
+    pools[mesh.userData.type].push(mesh);
+  }
+
+  function releaseAll(meshes, pools) {
+    meshes.forEach(mesh => releaseMesh(pools, mesh));
+    meshes.clear();
+  }
+
+  function createObstacleMesh(obstacle) {
+    const mesh = acquireMesh(obstaclePools, obstacle.type, () => {
+      if (obstacle.type === 'cactus') return createCactus();
+      if (obstacle.variant.cacti) return createCactusCluster(obstacle.variant.cacti.length);
+      return createPterodactyl();
+    });
+
+    if (obstacle.type === 'cactus') {
+      applyCactusVariant(mesh, obstacle.variant);
+    } else if (obstacle.variant.cacti) {
+      obstacle.variant.cacti.forEach((variant, i) => applyCactusVariant(mesh.children[i], variant));
+    }
+
+    mesh.position.set(obstacle.x, obstacle.y, obstacle.z);
+    obstacleMeshes.set(obstacle.id, mesh);
+    return mesh;
+  }
+
+  function createPickupMesh(pickup) {
+    const mesh = acquireMesh(pickupPools, pickup.type, () => buildPickupMesh(pickup.type));
+    mesh.position.set(pickup.x, pickup.y, pickup.z);
+    pickupMeshes.set(pickup.id, mesh);
+    return mesh;
+  }
 
-    if (type < 0.6) {
-      // Cactus
-      obstacle = createCactus();
-    } else if (type < 0.85) {
-      // Double cactus
-      obstacle = createDoubleCactus();
+  function buildPickupMesh(type) {
+    const color = type === 'coin' ? COIN_COLOR : POWER_UP_COLORS[type];
+    const mat = pickupMaterials[type] || (pickupMaterials[type] = createEntityMaterial(color, 0.5));
+    let mesh;
+
+    if (type === 'coin') {
+      // Stand the disc up inside a group so spinning the group turns it edge-on
+      const disc = new THREE.Mesh(getGeometry('coin', () => new THREE.CylinderGeometry(0.22, 0.22, 0.06, 12)), mat);
+      disc.rotation.x = Math.PI / 2;
+      mesh = new THREE.Group();
+      mesh.add(disc);
+    } else if (type === 'shield') {
+      mesh = new THREE.Mesh(getGeometry('shield', () => new THREE.IcosahedronGeometry(0.35)), mat);
+    } else if (type === 'slowMotion') {
+      // Hourglass
+      mesh = new THREE.Group();
+      const coneGeom = getGeometry('hourglass', () => new THREE.ConeGeometry(0.3, 0.4, 6));
+      const top = new THREE.Mesh(coneGeom, mat);
+      top.position.y = 0.2;
+      top.rotation.x = Math.PI;
+      const bottom = new THREE.Mesh(coneGeom, mat);
+      bottom.position.y = -0.2;
+      mesh.add(top);
+      mesh.add(bottom);
     } else {
-      // Flying pterodactyl
-      obstacle = createPterodactyl();
+      mesh = new THREE.Mesh(getGeometry('multiplier', () => new THREE.TorusGeometry(0.28, 0.1, 8, 16)), mat);
     }
 
-    obstacle.position.x = 20;
-    obstacles.push(obstacle);
-    scene.add(obstacle);
+    return mesh;
   }
 
+  // Every part a cactus can have; applyCactusVariant sizes and hides them
   function createCactus() {
     const group = new THREE.Group();
-    const mat = new THREE.MeshPhongMaterial({
-      color: colors.obstacle,
-      emissive: colors.obstacle,
-      emissiveIntensity: 0.3,
-      flatShading: true
-    });
+    const mat = obstacleMaterials.cactus;
 
-    // Main trunk
-    const trunkGeom = new THREE.BoxGeometry(0.5, 2 + Math.random(), 0.5);
-    const trunk = new THREE.Mesh(trunkGeom, mat);
+    // Main trunk: a unit-tall box stretched to the variant's height
+    const trunk = new THREE.Mesh(getGeometry('cactusTrunk', () => new THREE.BoxGeometry(0.5, 1, 0.5)), mat);
     trunk.position.y = 1;
     group.add(trunk);
 
     // Arms
-    if (Math.random() > 0.3) {
-      const armGeom = new THREE.BoxGeometry(0.4, 0.8, 0.4);
-      const armL = new THREE.Mesh(armGeom, mat);
-      armL.position.set(0.4, 1.2 + Math.random() * 0.5, 0);
-      group.add(armL);
+    const armL = new THREE.Mesh(getGeometry('cactusArmL', () => new THREE.BoxGeometry(0.4, 0.8, 0.4)), mat);
+    armL.position.x = 0.4;
+    group.add(armL);
 
-      const connectorL = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.3, 0.3), mat);
-      connectorL.position.set(0.2, 1.2 + Math.random() * 0.3, 0);
-      group.add(connectorL);
-    }
+    const connectorL = new THREE.Mesh(getGeometry('cactusConnector', () => new THREE.BoxGeometry(0.3, 0.3, 0.3)), mat);
+    connectorL.position.x = 0.2;
+    group.add(connectorL);
 
-    if (Math.random() > 0.5) {
-      const armGeom = new THREE.BoxGeometry(0.4, 0.6, 0.4);
-      const armR = new THREE.Mesh(armGeom, mat);
-      armR.position.set(-0.4, 1.5 + Math.random() * 0.3, 0);
-      group.add(armR);
-    }
+    const armR = new THREE.Mesh(getGeometry('cactusArmR', () => new THREE.BoxGeometry(0.4, 0.6, 0.4)), mat);
+    armR.position.x = -0.4;
+    group.add(armR);
 
-    group.position.y = groundY;
-    group.userData = { type: 'cactus', width: 0.8, height: 2.5, passed: false };
+    group.userData = { trunk, armL, connectorL, armR };
     return group;
   }
 
-  function createDoubleCactus() {
-    const group = new THREE.Group();
+  function applyCactusVariant(cactus, variant) {
+    const parts = cactus.userData;
+    parts.trunk.scale.y = variant.trunkHeight;
+
+    parts.armL.visible = !!variant.armL;
+    parts.connectorL.visible = !!variant.armL;
+    if (variant.armL) {
+      parts.armL.position.y = variant.armL.y;
+      parts.connectorL.position.y = variant.armL.connectorY;
+    }
 
-    const cactus1 = createCactus();
-    cactus1.position.x = -0.6;
-    cactus1.position.y = 0;
-    group.add(cactus1);
+    parts.armR.visible = !!variant.armR;
+    if (variant.armR) parts.armR.position.y = variant.armR.y;
+  }
+
+  // Double cacti and walls: a row of cacti side by side
+  function createCactusCluster(count) {
+    const group = new THREE.Group();
 
-    const cactus2 = createCactus();
-    cactus2.position.x = 0.6;
-    cactus2.position.y = 0;
-    group.add(cactus2);
+    for (let i = 0; i < count; i++) {
+      const cactus = createCactus();
+      cactus.position.x = Sim.getClusterOffset(i, count);
+      group.add(cactus);
+    }
 
-    group.position.y = groundY;
-    group.userData = { type: 'doubleCactus', width: 2, height: 2.5, passed: false };
     return group;
   }
 
   function createPterodactyl() {
     const group = new THREE.Group();
-    const mat = new THREE.MeshPhongMaterial({
-      color: colors.secondary,
-      emissive: colors.secondary,
-      emissiveIntensity: 0.3,
-      flatShading: true
-    });
+    const mat = obstacleMaterials.pterodactyl;
 
     // Body
-    const bodyGeom = new THREE.ConeGeometry(0.3, 1.2, 4);
+    const bodyGeom = getGeometry('pterodactylBody', () => new THREE.ConeGeometry(0.3, 1.2, 4));
     const body = new THREE.Mesh(bodyGeom, mat);
     body.rotation.z = Math.PI / 2;
     group.add(body);
 
     // Wings
-    const wingGeom = new THREE.BoxGeometry(0.1, 1.5, 0.8);
+    const wingGeom = getGeometry('pterodactylWing', () => new THREE.BoxGeometry(0.1, 1.5, 0.8));
     const wingL = new THREE.Mesh(wingGeom, mat);
     wingL.position.set(0, 0.5, 0);
     wingL.name = 'wingL';
@@ -415,57 +978,88 @@
     group.add(wingR);
 
     // Head/beak
-    const headGeom = new THREE.ConeGeometry(0.15, 0.5, 4);
+    const headGeom = getGeometry('pterodactylHead', () => new THREE.ConeGeometry(0.15, 0.5, 4));
     const head = new THREE.Mesh(headGeom, mat);
     head.rotation.z = Math.PI / 2;
     head.position.x = 0.7;
     group.add(head);
 
-    // Random height (high or low)
-    const flyHeight = Math.random() > 0.5 ? groundY + 3 : groundY + 1.2;
-    group.position.y = flyHeight;
-    group.userData = { type: 'pterodactyl', width: 1.2, height: 1.5, wingL, wingR, wingPhase: 0, passed: false };
+    group.userData = { wingL, wingR };
     return group;
   }
 
+  /**
+   * Take a particle from the pool. Each keeps its own material because
+   * particles fade out independently.
+   */
+  function spawnParticle(geometry, color) {
+    const particle = particlePool.pop() ||
+      new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ transparent: true }));
+    particle.geometry = geometry;
+    particle.material.color.setHex(color);
+    particle.material.opacity = 1;
+    particle.rotation.set(0, 0, 0);
+    particles.push(particle);
+    scene.add(particle);
+    return particle;
+  }
+
+  function releaseParticle(particle) {
+    scene.remove(particle);
+    particlePool.push(particle);
+  }
+
+  // Free the GPU resources of something that is not coming back, like a replaced dino
+  function disposeObject(object) {
+    object.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+
+  // Particle bursts shrink with the quality level, and further for reduced motion
+  function effectCount(count) {
+    return Math.max(1, Math.round(count * quality.detail * (reducedMotion ? REDUCED_MOTION_EFFECTS : 1)));
+  }
+
   function createJumpParticles() {
-    const particleCount = 15;
+    const trailName = Skins.getSkin(wallet.selected).trail;
+    const trail = PARTICLE_TRAILS[trailName] || PARTICLE_TRAILS.dust;
+    const geom = getGeometry('trail:' + trailName, () => (trail.shape === 'sphere'
+      ? new THREE.SphereGeometry(trail.size, 6, 6)
+      : createPartGeometry(trail.shape, [trail.size])));
+    const particleCount = effectCount(15);
     for (let i = 0; i < particleCount; i++) {
-      const geom = new THREE.SphereGeometry(0.08, 6, 6);
-      const mat = new THREE.MeshBasicMaterial({
-        color: colors.particle,
-        transparent: true,
-        opacity: 1
-      });
-      const particle = new THREE.Mesh(geom, mat);
+      const particle = spawnParticle(
+        geom,
+        trail.colors ? trail.colors[Math.floor(Math.random() * trail.colors.length)] : colors.particle
+      );
       particle.position.set(
         dino.position.x + (Math.random() - 0.5) * 1,
         dino.position.y + Math.random() * 0.5,
-        (Math.random() - 0.5) * 1
+        dino.position.z + (Math.random() - 0.5) * 1
       );
       particle.userData = {
         velocity: {
           x: (Math.random() - 0.5) * 0.2,
-          y: Math.random() * 0.15,
+          y: Math.random() * 0.15 + trail.lift,
           z: (Math.random() - 0.5) * 0.2
         },
+        rotSpeed: trail.shape === 'sphere' ? null : {
+          x: (Math.random() - 0.5) * 0.3,
+          y: (Math.random() - 0.5) * 0.3,
+          z: (Math.random() - 0.5) * 0.3
+        },
         life: 1
       };
-      particles.push(particle);
-      scene.add(particle);
     }
   }
 
   function createDeathParticles() {
-    const particleCount = 40;
+    const geom = getGeometry('deathParticle', () => new THREE.BoxGeometry(0.15, 0.15, 0.15));
+    const particleCount = effectCount(40);
     for (let i = 0; i < particleCount; i++) {
-      const geom = new THREE.BoxGeometry(0.15, 0.15, 0.15);
-      const mat = new THREE.MeshBasicMaterial({
-        color: Math.random() > 0.5 ? colors.dino : colors.obstacle,
-        transparent: true,
-        opacity: 1
-      });
-      const particle = new THREE.Mesh(geom, mat);
+      const particle = spawnParticle(geom, Math.random() > 0.5 ? colors.dino : colors.obstacle);
       particle.position.copy(dino.position);
       particle.position.y += 1;
       particle.userData = {
@@ -481,26 +1075,37 @@
         },
         life: 1
       };
-      particles.push(particle);
-      scene.add(particle);
+    }
+  }
+
+  function createPickupParticles(color) {
+    const geom = getGeometry('pickupParticle', () => new THREE.SphereGeometry(0.07, 6, 6));
+    const particleCount = effectCount(12);
+    for (let i = 0; i < particleCount; i++) {
+      const particle = spawnParticle(geom, color);
+      particle.position.set(dino.position.x, dino.position.y + 1, dino.position.z);
+      const angle = (i / particleCount) * Math.PI * 2;
+      particle.userData = {
+        velocity: {
+          x: Math.cos(angle) * 0.12,
+          y: Math.sin(angle) * 0.12 + 0.05,
+          z: (Math.random() - 0.5) * 0.1
+        },
+        life: 1
+      };
     }
   }
 
   function createScoreParticles() {
     // Create a burst of green/gold particles when scoring
-    const particleCount = 8;
+    const geom = getGeometry('scoreParticle', () => new THREE.SphereGeometry(0.06, 6, 6));
+    const particleCount = effectCount(8);
     for (let i = 0; i < particleCount; i++) {
-      const geom = new THREE.SphereGeometry(0.06, 6, 6);
-      const mat = new THREE.MeshBasicMaterial({
-        color: 0x22c55e,
-        transparent: true,
-        opacity: 1
-      });
-      const particle = new THREE.Mesh(geom, mat);
+      const particle = spawnParticle(geom, 0x22c55e);
       particle.position.set(
         dino.position.x + 1,
         dino.position.y + 1.5,
-        (Math.random() - 0.5) * 0.5
+        dino.position.z + (Math.random() - 0.5) * 0.5
       );
       particle.userData = {
         velocity: {
@@ -510,262 +1115,1628 @@
         },
         life: 1
       };
-      particles.push(particle);
-      scene.add(particle);
     }
   }
 
-  function jump() {
-    if (!isJumping && !gameOver) {
-      isJumping = true;
-      jumpVelocity = 0.35;
-      createJumpParticles();
-    }
+  function isPlaying() {
+    return gameStarted && sim && !sim.over;
+  }
+
+  // Live input only; during a replay the recording drives the dino
+  function isControllable() {
+    return isRunning() && !sim.replaying;
+  }
+
+  // Playing and not held by a pause or the resume countdown
+  function isRunning() {
+    return isPlaying() && !paused && resumeCountdown <= 0;
+  }
+
+  function isFormControl(target) {
+    return !!(target && target.closest && target.closest('button, input, textarea, select'));
+  }
+
+  function hasGameFocus() {
+    return gameContainer.contains(document.activeElement);
+  }
+
+  // The page keeps Space and the arrows for scrolling unless the game has focus
+  function capturesKeys() {
+    return hasGameFocus() || (captureKeysGlobally && isPlaying());
+  }
+
+  // Take focus off a game control without it leaving the game, which would pause the run
+  function focusGame() {
+    gameContainer.focus({ preventScroll: true });
+  }
+
+  // Hand the keyboard back to the page
+  function releaseFocus() {
+    if (hasGameFocus()) document.activeElement.blur();
+  }
+
+  function onFocusOut(e) {
+    // Keys stop reaching the run once focus leaves it, so don't let it carry on unseen
+    if (!gameContainer.contains(e.relatedTarget) && !captureKeysGlobally) pauseGame();
   }
 
   function onKeyDown(e) {
-    if (e.code === 'Space' || e.code === 'ArrowUp') {
-      e.preventDefault();
-      if (!gameStarted) {
-        startGame();
-      } else if (gameOver) {
-        restartGame();
+    // Let overlay buttons handle their own Space/Enter
+    if (isFormControl(e.target) || !capturesKeys()) return;
+
+    Sound.unlock();
+
+    // Menus sit on top of everything until they're closed
+    if (isMenuOpen()) {
+      if (e.code === 'Escape') closeMenu();
+      return;
+    }
+
+    // Escape pauses a run; pressed again, or with no run going, it leaves the game
+    if (e.code === 'Escape') {
+      if (isPlaying() && !paused) {
+        pauseGame();
       } else {
-        jump();
+        releaseFocus();
       }
+      return;
     }
-    if (e.code === 'ArrowDown' && gameStarted && !gameOver) {
+
+    const action = Controls.actionFor(controls, e.code);
+    if (action === 'pause' && isPlaying()) {
+      e.preventDefault();
+      togglePause();
+    } else if (action === 'restart') {
       e.preventDefault();
-      isDucking = true;
-      dino.scale.y = 0.5;
-      dino.position.y = dino.userData.baseY - 0.5;
+      pressRestart();
+    } else if (action === 'jump') {
+      e.preventDefault();
+      pressJump();
+    } else if (action === 'duck' && isControllable()) {
+      e.preventDefault();
+      pressDuck();
+    } else if ((action === 'left' || action === 'right') && isControllable() && sim.mode === 'lanes') {
+      e.preventDefault();
+      pressLane(action);
     }
   }
 
   function onKeyUp(e) {
-    if (e.code === 'ArrowDown') {
-      isDucking = false;
-      dino.scale.y = 1;
-      if (!isJumping) {
-        dino.position.y = dino.userData.baseY;
-      }
+    const action = Controls.actionFor(controls, e.code);
+    if (action === 'jump' || action === 'duck' || action === 'left' || action === 'right') {
+      releaseInput(action);
     }
   }
 
-  function onPointerDown(e) {
-    // Prevent text selection on mobile
-    if (e.cancelable && e.type === 'touchstart') {
-      e.preventDefault();
+  // Jump doubles as "start", "restart" and "resume" outside of a live run
+  function pressJump() {
+    if (paused) {
+      resumeGame();
+    } else if (!gameStarted) {
+      startGame();
+    } else if (sim.over || sim.replaying) {
+      restartGame();
+    } else if (isControllable()) {
+      sim.setInput('jump', true);
+    }
+  }
+
+  function pressDuck() {
+    if (isControllable()) sim.setInput('duck', true);
+  }
+
+  // Lane mode: each press moves one lane
+  function pressLane(action) {
+    if (isControllable()) sim.setInput(action, true);
+  }
+
+  function releaseInput(action) {
+    // Releases still count during the resume countdown
+    if (isPlaying() && !sim.replaying) sim.setInput(action, false);
+  }
+
+  // A fresh run at any point; one still going is dropped without a score
+  function pressRestart() {
+    if (contextLost) return;
+    if (gameStarted) {
+      restartGame();
+    } else {
+      startGame();
     }
+  }
 
+  // Start starts a run, restarts a finished one, and otherwise toggles pause
+  function pressStart() {
     if (!gameStarted) {
       startGame();
-      return;
+    } else if (sim.over) {
+      restartGame();
+    } else {
+      togglePause();
     }
-    if (gameOver) {
+  }
+
+  // Resume, start or restart from a click or tap; false when a live run should take it
+  function pressPlay() {
+    if (paused) {
+      resumeGame();
+    } else if (!gameStarted) {
+      startGame();
+    } else if (sim.over || sim.replaying) {
       restartGame();
-      return;
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  function onOverlayClick() {
+    focusGame();
+    Sound.unlock();
+    pressPlay();
+  }
+
+  function onPointerDown(e) {
+    // Prevent text selection on mobile; that also stops the tap focusing the game
+    if (e.cancelable && e.type === 'touchstart') {
+      e.preventDefault();
     }
-    // During gameplay: press to duck
-    if (!isJumping) {
-      isDucking = true;
-      dino.scale.y = 0.5;
-      dino.position.y = dino.userData.baseY - 0.5;
+    focusGame();
+    Sound.unlock();
+
+    if (pressPlay() || !isControllable()) return;
+    swipeStart = getPointerPosition(e);
+    if (controls.touch === 'zones') {
+      // Zones: the top half jumps and the bottom half ducks, for as long as it's held
+      const rect = canvas.getBoundingClientRect();
+      const lower = swipeStart && swipeStart.y > rect.top + rect.height / 2;
+      sim.setInput(lower ? 'duck' : 'jump', true);
+    } else {
+      // Hold: press to duck, which cuts a rising jump short and fast-falls in the air
+      sim.setInput('jump', false);
+      sim.setInput('duck', true);
     }
   }
 
   function onPointerUp(e) {
-    if (!gameStarted || gameOver) return;
-
-    // Release to jump (if was ducking, stand up first then jump)
-    if (isDucking) {
-      isDucking = false;
-      dino.scale.y = 1;
-      dino.position.y = dino.userData.baseY;
+    if (!isControllable()) return;
+
+    // Hold: release to jump (if was ducking, stand up first then jump). The
+    // jump stays held until the next press so touch jumps reach full height.
+    // In lane mode a sideways swipe changes lane instead.
+    const lane = getSwipeLane(e);
+    sim.setInput('duck', false);
+    if (controls.touch === 'zones') sim.setInput('jump', false);
+    if (lane) {
+      sim.setInput(lane, true);
+      sim.setInput(lane, false);
+    } else if (controls.touch === 'hold') {
+      sim.setInput('jump', true);
     }
-    jump();
   }
 
-  function startGame() {
+  function getPointerPosition(e) {
+    const point = e.changedTouches ? e.changedTouches[0] : e;
+    return point ? { x: point.clientX, y: point.clientY } : null;
+  }
+
+  function getSwipeLane(e) {
+    const start = swipeStart;
+    const end = getPointerPosition(e);
+    swipeStart = null;
+    if (sim.mode !== 'lanes' || !start || !end) return null;
+
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    if (Math.abs(dx) < SWIPE_MIN_PX || Math.abs(dx) < Math.abs(dy)) return null;
+    return dx < 0 ? 'left' : 'right';
+  }
+
+  /**
+   * Begin a run. With a recording, the run is a replay: same seed, same
+   * inputs on the same ticks, so it plays out exactly like the original.
+   */
+  function startGame(recording) {
     gameStarted = true;
-    gameOver = false;
-    score = 0;
-    speed = baseSpeed;
+    // The overlay button that started the run is about to hide; keep the keys with the game
+    focusGame();
+    runDate = !recording && runType === 'daily' ? Daily.dateKey(Date.now()) : null;
+    if (recording) {
+      sim = Sim.createSimulation({
+        seed: recording.seed,
+        inputs: recording.inputs,
+        mode: recording.mode,
+        assist: recording.assist,
+        powerUps: recording.powerUps,
+        debug: DEBUG
+      });
+    } else if (runDate) {
+      // Everyone gets the same classic course on the same UTC date
+      sim = Sim.createSimulation({
+        seed: Daily.seedFor(runDate),
+        mode: 'classic',
+        assist: assistEnabled,
+        powerUps: false,
+        debug: DEBUG
+      });
+    } else {
+      sim = Sim.createSimulation({
+        seed: (Math.random() * 4294967296) >>> 0,
+        mode: gameMode,
+        assist: assistEnabled,
+        debug: DEBUG
+      });
+    }
+    syncModeView(sim.mode);
+    accumulator = 0;
+    lastMilestone = 0;
+    cuedObstacles.clear();
+    Sound.startMusic();
+    paused = false;
+    resumeCountdown = 0;
+    if (pauseScreen) pauseScreen.style.display = 'none';
+    [leaderboardScreen, skinsScreen, controlsScreen, settingsScreen].forEach(screen => {
+      if (screen) screen.style.display = 'none';
+    });
+    menuScreen = null;
+    menuTrail = [];
+    if (pauseButton) pauseButton.hidden = false;
+    runTrace = [];
+    recordTraceSample();
+    if (replayBadge) replayBadge.hidden = !recording;
     if (startScreen) startScreen.style.display = 'none';
     if (gameOverScreen) gameOverScreen.style.display = 'none';
     if (scoreEl) scoreEl.textContent = '0';
+    announce((recording ? 'Replay' : runDate ? 'Daily run' : sim.mode === 'lanes' ? 'Lanes run' : 'Run') +
+      ' started' + (sim.assist ? ' with assist' : '') + '.');
+    // Restarting from the pause screen needs the loop back
+    syncLoop();
   }
 
-  function restartGame() {
-    // Clear obstacles
-    obstacles.forEach(obs => scene.remove(obs));
-    obstacles = [];
-
-    // Clear particles
-    particles.forEach(p => scene.remove(p));
+  function restartGame(recording) {
+    // Hand obstacles, pickups and particles back to their pools
+    releaseAll(obstacleMeshes, obstaclePools);
+    releaseAll(pickupMeshes, pickupPools);
+    particles.forEach(releaseParticle);
     particles = [];
 
     // Reset dino
     dino.position.y = dino.userData.baseY;
     dino.scale.y = 1;
     dino.visible = true;
-    isJumping = false;
-    isDucking = false;
-    jumpVelocity = 0;
-    obstacleTimer = 0;
 
-    startGame();
+    startGame(recording);
   }
 
   function endGame() {
-    gameOver = true;
+    Sound.stopMusic();
     createDeathParticles();
     dino.visible = false;
 
-    if (score > highScore) {
-      highScore = score;
-      localStorage.setItem('dinoHighScore', highScore);
-      if (highScoreEl) highScoreEl.textContent = highScore;
+    pendingEntry = null;
+    dailyResult = null;
+    let newBest = false;
+    if (!sim.replaying) {
+      rumble();
+      lastRecording = sim.getRecording();
+      localStorage.setItem('dinoLastRun', Sim.encodeRecording(lastRecording));
+
+      // Assist runs are slower, so they stay out of bests, streaks and ghosts
+      if (!sim.assist) {
+        if (runDate) {
+          newBest = recordDailyRun();
+        } else {
+          newBest = sim.score > highScore;
+          // The ghost only races classic endless runs
+          if (newBest && sim.mode === 'classic') saveGhostRun();
+          pendingEntry = recordLeaderboardEntry();
+          pendingMode = sim.mode;
+        }
+      }
     }
 
-    if (finalScoreEl) finalScoreEl.textContent = score;
+    if (initialsForm) initialsForm.hidden = !pendingEntry;
+    if (initialsInput) initialsInput.value = '';
+
+    updateReplayActions();
+    gameContainer.querySelectorAll('[data-game-action="daily-share"]').forEach(button => {
+      button.hidden = !dailyResult;
+    });
+    if (pauseButton) pauseButton.hidden = true;
+    if (assistNoteEl) assistNoteEl.hidden = !sim.assist || sim.replaying;
+    if (finalScoreEl) finalScoreEl.textContent = sim.score;
     if (gameOverScreen) gameOverScreen.style.display = 'flex';
+    announce('Game over. Score ' + sim.score + '.' + (newBest ? ' New high score!' : ''));
   }
 
-  function checkCollision(obstacle) {
-    const dinoBox = {
-      x: dino.position.x - 0.4,
-      y: dino.position.y,
-      width: 1.2,
-      height: isDucking ? 1 : 2
-    };
+  function pauseGame() {
+    if (!isPlaying() || paused) return;
 
-    const obsData = obstacle.userData;
-    const obsBox = {
-      x: obstacle.position.x - obsData.width / 2,
-      y: obstacle.position.y,
-      width: obsData.width,
-      height: obsData.height
-    };
+    paused = true;
+    resumeCountdown = 0;
+
+    // Nobody can release a key they pressed before the pause, so let go of everything
+    if (!sim.replaying) {
+      sim.setInput('jump', false);
+      sim.setInput('duck', false);
+    }
 
-    return !(dinoBox.x + dinoBox.width < obsBox.x ||
-             dinoBox.x > obsBox.x + obsBox.width ||
-             dinoBox.y + dinoBox.height < obsBox.y ||
-             dinoBox.y > obsBox.y + obsBox.height);
+    if (pauseTitleEl) pauseTitleEl.textContent = 'Paused';
+    if (pauseHintEl) pauseHintEl.hidden = false;
+    if (pauseScreen) pauseScreen.style.display = 'flex';
+    if (pauseButton) pauseButton.setAttribute('aria-label', 'Resume game');
+    Sound.stopMusic();
+    syncLoop();
   }
 
-  function onResize() {
-    const width = canvas.clientWidth;
-    const height = canvas.clientHeight;
-    camera.aspect = width / height;
-    camera.updateProjectionMatrix();
-    renderer.setSize(width, height);
+  function resumeGame() {
+    if (!paused || contextLost) return;
+
+    paused = false;
+    resumeCountdown = RESUME_STEP_MS * RESUME_STEPS;
+    if (pauseHintEl) pauseHintEl.hidden = true;
+    if (pauseButton) pauseButton.setAttribute('aria-label', 'Pause game');
+    syncLoop();
   }
 
-  function onThemeChange() {
-    colors = getThemeColors();
+  function togglePause() {
+    if (paused) {
+      resumeGame();
+    } else {
+      pauseGame();
+    }
+  }
 
-    // Update dino colors
-    dino.traverse(child => {
-      if (child.isMesh && child.material.emissive) {
-        child.material.color.setHex(colors.dino);
-        child.material.emissive.setHex(colors.dino);
-      }
-    });
+  function updateResumeCountdown(elapsed) {
+    resumeCountdown -= elapsed;
+    if (resumeCountdown > 0) {
+      if (pauseTitleEl) pauseTitleEl.textContent = Math.ceil(resumeCountdown / RESUME_STEP_MS);
+      return;
+    }
+
+    resumeCountdown = 0;
+    accumulator = 0;
+    if (pauseScreen) pauseScreen.style.display = 'none';
+    Sound.startMusic();
+  }
 
-    // Update ground
-    ground.material.color.setHex(colors.ground);
+  function updateAudioControls() {
+    const audio = Sound.getSettings();
+    const silent = audio.muted || audio.volume === 0;
 
-    // Update obstacles
-    obstacles.forEach(obs => {
-      obs.traverse(child => {
-        if (child.isMesh && child.material.emissive) {
-          const color = obs.userData.type === 'pterodactyl' ? colors.secondary : colors.obstacle;
-          child.material.color.setHex(color);
-          child.material.emissive.setHex(color);
-        }
-      });
+    if (muteButton) {
+      muteButton.setAttribute('aria-pressed', String(silent));
+      muteButton.setAttribute('aria-label', silent ? 'Unmute sound' : 'Mute sound');
+      muteButton.classList.toggle('muted', silent);
+    }
+    if (volumeInput) volumeInput.value = Math.round((silent ? 0 : audio.volume) * 100);
+
+    gameContainer.querySelectorAll('[data-game-action="music-toggle"]').forEach(button => {
+      button.textContent = audio.music ? 'Music: On' : 'Music: Off';
+      button.setAttribute('aria-pressed', String(audio.music));
     });
   }
 
-  function animate(time) {
-    requestAnimationFrame(animate);
+  function onVolumeInput() {
+    Sound.unlock();
+    Sound.setVolume(volumeInput.value / 100);
+    updateAudioControls();
+  }
 
-    const delta = Math.min((time - lastTime) / 16.67, 2);
-    lastTime = time;
+  function onVisibilityChange() {
+    if (document.hidden) pauseGame();
+    syncLoop();
+  }
+
+  function onCanvasIntersect(entries) {
+    canvasOnScreen = entries[entries.length - 1].isIntersecting;
+    if (!canvasOnScreen) pauseGame();
+    syncLoop();
+  }
 
-    if (gameStarted && !gameOver) {
-      // Increase speed over time
-      speed = baseSpeed + score * 0.00005;
+  // The render loop only runs while there is something to show
+  function shouldRender() {
+    return canvasOnScreen && !document.hidden && !paused && !contextLost;
+  }
 
-      // Spawn obstacles
-      obstacleTimer += delta;
-      const spawnInterval = Math.max(50, 100 - score * 0.03);
-      if (obstacleTimer > spawnInterval) {
-        createObstacle();
-        obstacleTimer = 0;
+  function syncLoop() {
+    if (shouldRender()) {
+      if (frameId === null) {
+        lastTime = null;
+        frameId = requestAnimationFrame(animate);
       }
+    } else if (frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+    syncGamepadPolling();
+  }
 
-      // Update ground lines (scrolling effect)
-      groundLines.forEach(line => {
-        line.position.x -= speed * delta;
-        if (line.position.x < -40) {
-          line.position.x += 80;
-        }
+  function onGamepadConnected(e) {
+    if (gamepadIndex === null) gamepadIndex = e.gamepad.index;
+
+    if (gamepadHintEl) {
+      gamepadHintEl.hidden = false;
+      clearTimeout(gamepadHintTimer);
+      gamepadHintTimer = setTimeout(() => {
+        gamepadHintEl.hidden = true;
+      }, 5000);
+    }
+    syncGamepadPolling();
+  }
+
+  function onGamepadDisconnected(e) {
+    if (e.gamepad.index !== gamepadIndex) return;
+
+    gamepadIndex = null;
+    ['jump', 'duck', 'left', 'right'].forEach(action => {
+      if (gamepadHeld[action]) releaseInput(action);
+    });
+    gamepadHeld = { jump: false, duck: false, left: false, right: false, start: false };
+    if (gamepadHintEl) gamepadHintEl.hidden = true;
+    syncGamepadPolling();
+  }
+
+  function getGamepad() {
+    if (gamepadIndex === null || !navigator.getGamepads) return null;
+    return navigator.getGamepads()[gamepadIndex] || null;
+  }
+
+  function isButtonDown(pad, index) {
+    const button = pad.buttons[index];
+    return !!button && button.pressed;
+  }
+
+  // Gamepads have no events for buttons, so compare against the last poll
+  function pollGamepad() {
+    const pad = getGamepad();
+    if (!pad) return;
+
+    const stickX = pad.axes[0] || 0;
+    const stickY = pad.axes[1] || 0;
+    const held = {
+      left: isButtonDown(pad, GAMEPAD_BUTTONS.left) || stickX < -GAMEPAD_STICK_THRESHOLD,
+      right: isButtonDown(pad, GAMEPAD_BUTTONS.right) || stickX > GAMEPAD_STICK_THRESHOLD,
+      jump: isButtonDown(pad, GAMEPAD_BUTTONS.a) || isButtonDown(pad, GAMEPAD_BUTTONS.up) ||
+        stickY < -GAMEPAD_STICK_THRESHOLD,
+      duck: isButtonDown(pad, GAMEPAD_BUTTONS.b) || isButtonDown(pad, GAMEPAD_BUTTONS.down) ||
+        stickY > GAMEPAD_STICK_THRESHOLD,
+      start: isButtonDown(pad, GAMEPAD_BUTTONS.start)
+    };
+
+    // Browsers may not treat pad buttons as a gesture, but try anyway
+    if ((held.start && !gamepadHeld.start) || (held.jump && !gamepadHeld.jump)) Sound.unlock();
+    if (held.start && !gamepadHeld.start) pressStart();
+
+    if (held.jump && !gamepadHeld.jump) {
+      pressJump();
+    } else if (!held.jump && gamepadHeld.jump) {
+      releaseInput('jump');
+    }
+
+    if (held.duck && !gamepadHeld.duck) {
+      pressDuck();
+    } else if (!held.duck && gamepadHeld.duck) {
+      releaseInput('duck');
+    }
+
+    ['left', 'right'].forEach(action => {
+      if (held[action] && !gamepadHeld[action] && sim && sim.mode === 'lanes') {
+        pressLane(action);
+      } else if (!held[action] && gamepadHeld[action]) {
+        releaseInput(action);
+      }
+    });
+
+    gamepadHeld = held;
+  }
+
+  // The render loop stops while paused, so fall back to a timer to catch Start
+  function syncGamepadPolling() {
+    const needsTimer = gamepadIndex !== null && frameId === null;
+    if (needsTimer && gamepadPollId === null) {
+      gamepadPollId = setInterval(pollGamepad, 100);
+    } else if (!needsTimer && gamepadPollId !== null) {
+      clearInterval(gamepadPollId);
+      gamepadPollId = null;
+    }
+  }
+
+  function rumble() {
+    const pad = getGamepad();
+    if (!pad || !pad.vibrationActuator) return;
+
+    Promise.resolve(pad.vibrationActuator.playEffect('dual-rumble', {
+      duration: 300,
+      strongMagnitude: 1,
+      weakMagnitude: 0.5
+    })).catch(() => {});
+  }
+
+  function recordLeaderboardEntry() {
+    const entry = Leaderboard.addEntry(leaderboard, {
+      score: sim.score,
+      date: new Date().toISOString(),
+      duration: sim.tick * Sim.TICK_MS,
+      obstacles: sim.obstaclesPassed
+    });
+    Leaderboard.save(localStorage, leaderboard, gameMode);
+    updateHighScore();
+    return entry;
+  }
+
+  function updateHighScore() {
+    highScore = Leaderboard.bestScore(leaderboard);
+    if (highScoreEl) {
+      highScoreEl.textContent = runType === 'daily' ? Daily.bestFor(daily, Daily.dateKey(Date.now())) : highScore;
+    }
+  }
+
+  // True when the run beat today's best
+  function recordDailyRun() {
+    const best = Daily.recordRun(daily, runDate, sim.score);
+    Daily.save(localStorage, daily);
+    dailyResult = { date: runDate, score: sim.score };
+    updateHighScore();
+    updateDailyInfo();
+    return best;
+  }
+
+  // Today's course, best and streak; the streak lapses after a missed day
+  function updateDailyInfo() {
+    const today = Daily.dateKey(Date.now());
+    const streak = Daily.currentStreak(daily, today);
+
+    if (streakEl) streakEl.textContent = streak;
+    if (streakDisplay) streakDisplay.hidden = runType !== 'daily';
+    if (dailyInfoEl) {
+      dailyInfoEl.hidden = runType !== 'daily';
+      dailyInfoEl.textContent = 'Course ' + today + ' \u00b7 No power-ups \u00b7 Best ' + Daily.bestFor(daily, today) +
+        ' \u00b7 Streak ' + streak + (streak === 1 ? ' day' : ' days');
+    }
+  }
+
+  // Daily runs are always classic, so the mode switch only applies to endless
+  function updateRunType() {
+    gameContainer.querySelectorAll('[data-game-action="run-type"]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.runType === runType));
+    });
+    gameContainer.querySelectorAll('[data-game-action="mode-toggle"]').forEach(button => {
+      button.hidden = runType === 'daily';
+    });
+    updateHighScore();
+    updateDailyInfo();
+    if (!isPlaying()) syncModeView(runType === 'daily' ? 'classic' : gameMode);
+  }
+
+  function onInitialsSubmit(e) {
+    e.preventDefault();
+    if (!pendingEntry) return;
+
+    // The board on show may have been switched, or reloaded, since the run ended
+    const board = pendingMode === gameMode ? leaderboard : Leaderboard.load(localStorage, pendingMode);
+    const entry = board.entries.find(other => other.date === pendingEntry.date && other.score === pendingEntry.score);
+    if (entry) {
+      entry.initials = initialsInput.value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+      Leaderboard.save(localStorage, board, pendingMode);
+    }
+    pendingEntry = null;
+    initialsForm.hidden = true;
+    focusGame();
+  }
+
+  function isMenuOpen() {
+    return !!menuScreen;
+  }
+
+  // Menus (leaderboard, skins, settings, controls) replace the start or game over
+  // overlay while open; settings can open controls on top of itself
+  function openMenu(screen) {
+    if (!screen || screen === menuScreen) return;
+
+    // Come back to whichever overlay or menu opened this one
+    const from = menuScreen || [startScreen, gameOverScreen].find(el => el && el.style.display !== 'none') || null;
+    if (from) from.style.display = 'none';
+    menuTrail.push(from);
+    menuScreen = screen;
+    screen.style.display = 'flex';
+  }
+
+  function closeMenu() {
+    if (!menuScreen) return;
+    menuScreen.style.display = 'none';
+    const back = menuTrail.pop();
+    if (back) back.style.display = 'flex';
+    menuScreen = menuTrail.length ? back : null;
+  }
+
+  function renderLeaderboard() {
+    leaderboardBody.textContent = '';
+    leaderboard.entries.forEach((entry, i) => {
+      const row = document.createElement('tr');
+      [
+        i + 1,
+        entry.initials || '---',
+        entry.score,
+        entry.obstacles,
+        formatDuration(entry.duration),
+        entry.date ? new Date(entry.date).toLocaleDateString() : '-'
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
       });
+      leaderboardBody.appendChild(row);
+    });
+    if (leaderboardEmpty) leaderboardEmpty.hidden = leaderboard.entries.length > 0;
+  }
 
-      // Update obstacles
-      for (let i = obstacles.length - 1; i >= 0; i--) {
-        const obs = obstacles[i];
-        obs.position.x -= speed * delta;
-
-        // Animate pterodactyl wings
-        if (obs.userData.type === 'pterodactyl') {
-          obs.userData.wingPhase += 0.2 * delta;
-          const wingAngle = Math.sin(obs.userData.wingPhase) * 0.5;
-          if (obs.userData.wingL) obs.userData.wingL.rotation.x = wingAngle;
-          if (obs.userData.wingR) obs.userData.wingR.rotation.x = -wingAngle;
-        }
+  function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+  }
 
-        // Check if passed obstacle (score points!)
-        if (!obs.userData.passed && obs.position.x < dino.position.x - 1) {
-          obs.userData.passed = true;
-          score += 100;
-          if (scoreEl) scoreEl.textContent = score;
-          createScoreParticles();
-        }
+  function exportLeaderboard() {
+    downloadBlob(new Blob([Leaderboard.toJSON(leaderboard)], { type: 'application/json' }), 'dino-leaderboard.json');
+  }
 
-        // Check collision
-        if (checkCollision(obs)) {
-          endGame();
-        }
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function onLeaderboardImport() {
+    const file = leaderboardFile.files[0];
+    leaderboardFile.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        Leaderboard.merge(leaderboard, Leaderboard.parseExport(reader.result));
+      } catch (err) {
+        window.alert(err.message);
+        return;
+      }
+      Leaderboard.save(localStorage, leaderboard, gameMode);
+      updateHighScore();
+      renderLeaderboard();
+    };
+    reader.readAsText(file);
+  }
+
+  function updateCoins() {
+    if (coinsEl) coinsEl.textContent = wallet.coins;
+    if (skinsCoinsEl) skinsCoinsEl.textContent = wallet.coins;
+  }
 
-        // Remove off-screen obstacles
-        if (obs.position.x < -15) {
-          scene.remove(obs);
-          obstacles.splice(i, 1);
+  function renderSkins() {
+    skinsGrid.textContent = '';
+    Skins.SKINS.forEach(skin => {
+      const owned = Skins.isUnlocked(wallet, skin.id);
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'game-button game-skin';
+      button.dataset.skin = skin.id;
+      button.setAttribute('aria-pressed', String(wallet.selected === skin.id));
+
+      const swatch = document.createElement('span');
+      swatch.className = 'game-skin-swatch';
+      swatch.style.background = skin.palette.body === null
+        ? 'var(--accent)'
+        : '#' + skin.palette.body.toString(16).padStart(6, '0');
+
+      const status = document.createElement('span');
+      status.className = 'game-skin-status';
+      if (wallet.selected === skin.id) {
+        status.textContent = 'Equipped';
+      } else {
+        status.textContent = owned ? 'Owned' : skin.price + ' coins';
+      }
+      button.disabled = !owned && wallet.coins < skin.price;
+
+      button.append(swatch, skin.name, status);
+      skinsGrid.appendChild(button);
+    });
+    updateCoins();
+  }
+
+  function onSkinClick(e) {
+    const button = e.target.closest('[data-skin]');
+    if (!button) return;
+
+    const id = button.dataset.skin;
+    if (!Skins.unlock(wallet, id)) return;
+    Skins.select(wallet, id);
+    Skins.save(localStorage, wallet);
+    createDino();
+    renderSkins();
+  }
+
+  function getKeyName(actionId) {
+    return Controls.keyLabel(controls.keys[actionId][0]);
+  }
+
+  function getPauseHint() {
+    return 'Click or press ' + getKeyName('pause') + ' to resume';
+  }
+
+  // Everything that names a key follows the current bindings
+  function updateControlHints() {
+    const touchLines = controls.touch === 'zones'
+      ? ['TAP TOP - Jump', 'TAP BOTTOM - Duck']
+      : ['HOLD - Duck', 'RELEASE - Jump'];
+    const line = actionId => {
+      const action = Controls.getAction(actionId);
+      const keys = Controls.describe(controls, actionId) + (actionId === 'pause' ? ' / ESC' : '');
+      return keys + ' - ' + action.name + (action.hint ? ' (' + action.hint + ')' : '');
+    };
+    // Left and right share a line to keep the start overlay short
+    const laneKeys = Controls.describe(controls, 'left') + ' / ' + Controls.describe(controls, 'right');
+    const lines = [line('jump'), line('duck')].concat(touchLines, [
+      line('pause'),
+      'ESC (paused) - Leave game',
+      laneKeys + ' / SWIPE - Change lane (Lanes)',
+      line('restart')
+    ]);
+
+    if (controlsListEl) {
+      controlsListEl.textContent = '';
+      lines.forEach(line => {
+        const key = document.createElement('span');
+        key.className = 'game-key';
+        key.textContent = line;
+        controlsListEl.appendChild(key);
+      });
+    }
+    if (pauseHintEl && !contextLost) pauseHintEl.textContent = getPauseHint();
+    if (gameOverHintEl) gameOverHintEl.textContent = 'Click or press ' + getKeyName('jump') + ' to play again';
+    gameContainer.setAttribute('aria-label',
+      'Dino Run 3D. Press ' + getKeyName('jump') + ' to play and Escape to leave the game.');
+    gameContainer.querySelectorAll('[data-game-action="touch-scheme"]').forEach(button => {
+      button.textContent = controls.touch === 'zones' ? 'Touch: Tap zones' : 'Touch: Hold to duck';
+    });
+  }
+
+  // One row per action: its name and a button per key slot
+  function renderBindings() {
+    bindingsGrid.textContent = '';
+    Controls.ACTIONS.forEach(action => {
+      const label = document.createElement('span');
+      label.className = 'game-binding-name';
+      label.textContent = action.name;
+      bindingsGrid.appendChild(label);
+
+      for (let slot = 0; slot < Controls.MAX_KEYS; slot++) {
+        const code = controls.keys[action.id][slot];
+        const waiting = !!rebinding && rebinding.action === action.id && rebinding.slot === slot;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'game-button game-binding';
+        button.dataset.bindingAction = action.id;
+        button.dataset.bindingSlot = slot;
+        button.setAttribute('aria-pressed', String(waiting));
+        if (waiting) {
+          button.textContent = 'Press a key\u2026';
+        } else {
+          button.textContent = code ? Controls.keyLabel(code) : 'Add key';
         }
+        button.setAttribute('aria-label', action.name + ' key ' + (slot + 1) + ': ' +
+          (code ? Controls.keyLabel(code) : 'none'));
+        bindingsGrid.appendChild(button);
       }
+    });
+  }
+
+  // Re-rendering replaces the buttons, so hand focus to the new one
+  function refreshBindings(action, slot) {
+    renderBindings();
+    const button = bindingsGrid.querySelector('[data-binding-action="' + action + '"][data-binding-slot="' + slot + '"]');
+    if (button) button.focus();
+  }
+
+  function setBindingsStatus(message) {
+    if (bindingsStatusEl) bindingsStatusEl.textContent = message;
+  }
+
+  function onBindingClick(e) {
+    const button = e.target.closest('[data-binding-action]');
+    if (!button) return;
+
+    const action = button.dataset.bindingAction;
+    const slot = Number(button.dataset.bindingSlot);
+    rebinding = { action, slot };
+    setBindingsStatus('Press a key for ' + Controls.getAction(action).name +
+      '. Escape cancels, Delete clears a second key.');
+    refreshBindings(action, slot);
+  }
 
-      // Dino jump physics
-      if (isJumping) {
-        dino.position.y += jumpVelocity * delta;
-        jumpVelocity -= gravity * delta;
+  function onBindingKeyDown(e) {
+    if (!rebinding) return;
+    // Tab still moves focus, and gives up on the slot
+    if (e.code === 'Tab') {
+      rebinding = null;
+      setBindingsStatus('');
+      renderBindings();
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+
+    const { action, slot } = rebinding;
+    const name = Controls.getAction(action).name;
+    const label = Controls.keyLabel(e.code);
+    const conflict = Controls.findConflict(controls, action, e.code);
+    if (Controls.isReserved(e.code) && e.code !== 'Escape') {
+      setBindingsStatus(label + ' is reserved. Pick another key.');
+      return;
+    }
+    if (conflict) {
+      setBindingsStatus(label + ' is already bound to ' + Controls.getAction(conflict).name + '. Pick another key.');
+      return;
+    }
 
-        if (dino.position.y <= dino.userData.baseY) {
-          dino.position.y = dino.userData.baseY;
-          isJumping = false;
-          jumpVelocity = 0;
+    if (e.code === 'Escape') {
+      setBindingsStatus('');
+    } else if (e.code === 'Delete' || e.code === 'Backspace') {
+      setBindingsStatus(Controls.clearKey(controls, action, slot) ? '' : name + ' needs at least one key.');
+    } else {
+      Controls.bindKey(controls, action, slot, e.code);
+      setBindingsStatus(name + ' set to ' + Controls.describe(controls, action) + '.');
+    }
+
+    rebinding = null;
+    saveControls();
+    refreshBindings(action, slot);
+  }
+
+  function saveControls() {
+    Controls.save(localStorage, controls);
+    updateControlHints();
+  }
+
+  // A stage's colours and lighting, blended over the current theme
+  function resolveStage(stage) {
+    // High contrast stays on the plain day palette for the whole run
+    if (highContrast) stage = ENVIRONMENT_STAGES[0];
+    const weight = stage.mix * (isDarkTheme() ? 1 : LIGHT_THEME_STAGE_MIX);
+    const base = {
+      sky: colors.sky,
+      ground: colors.ground,
+      groundLine: colors.groundLine,
+      star: colors.primary,
+      light: 0xffffff
+    };
+
+    const palette = {
+      skyOpacity: stage.skyOpacity * (isDarkTheme() ? 1 : LIGHT_THEME_STAGE_MIX),
+      ambient: stage.ambient,
+      directional: stage.directional,
+      starDensity: stage.starDensity
+    };
+    Object.keys(base).forEach(key => {
+      palette[key] = new THREE.Color(base[key]);
+      if (stage.colors) palette[key].lerp(new THREE.Color(stage.colors[key]), weight);
+    });
+    return palette;
+  }
+
+  function stageForScore(score) {
+    let level = 0;
+    ENVIRONMENT_STAGES.forEach((stage, i) => {
+      if (score >= stage.minScore) level = i;
+    });
+    return level;
+  }
+
+  // Ease towards the stage for the current score instead of snapping to it
+  function updateEnvironment(frameTicks) {
+    const target = sim ? stageForScore(sim.score) : 0;
+    if (target === environmentLevel) return;
+
+    environmentLevel += (target - environmentLevel) * Math.min(1, ENVIRONMENT_BLEND_RATE * frameTicks);
+    if (Math.abs(target - environmentLevel) < 0.001) environmentLevel = target;
+    applyEnvironment();
+  }
+
+  function applyEnvironment() {
+    const from = stagePalettes[Math.floor(environmentLevel)];
+    const to = stagePalettes[Math.ceil(environmentLevel)];
+    const t = environmentLevel - Math.floor(environmentLevel);
+    const mix = key => from[key] + (to[key] - from[key]) * t;
+
+    environmentColor.copy(from.sky).lerp(to.sky, t);
+    if (renderer) renderer.setClearColor(environmentColor, mix('skyOpacity'));
+
+    ground.material.color.copy(from.ground).lerp(to.ground, t);
+    centerLines.concat(laneLines).forEach(line => line.material.color.copy(from.groundLine).lerp(to.groundLine, t));
+
+    stars.forEach(star => {
+      star.material.color.copy(from.star).lerp(to.star, t);
+      star.geometry.setDrawRange(0, Math.round(MAX_STARS * mix('starDensity') * quality.detail));
+    });
+
+    ambientLight.intensity = mix('ambient');
+    directionalLight.intensity = mix('directional');
+    directionalLight.color.copy(from.light).lerp(to.light, t);
+  }
+
+  function recordTraceSample() {
+    const state = sim.dino;
+    runTrace.push(
+      Math.round((state.y - state.baseY) * 100) / 100,
+      state.ducking ? 1 : 0,
+      Math.round(sim.distance * 100) / 100,
+      sim.score
+    );
+  }
+
+  function saveGhostRun() {
+    // Make sure the ghost ends exactly where this run died
+    if (sim.tick % GHOST_SAMPLE_TICKS !== 0) recordTraceSample();
+
+    ghostRun = {
+      version: GHOST_VERSION,
+      every: GHOST_SAMPLE_TICKS,
+      score: sim.score,
+      samples: runTrace
+    };
+    localStorage.setItem('dinoGhost', JSON.stringify(ghostRun));
+  }
+
+  function loadGhostRun() {
+    try {
+      const run = JSON.parse(localStorage.getItem('dinoGhost'));
+      return run && run.version === GHOST_VERSION && Array.isArray(run.samples) ? run : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function updateModeToggle() {
+    gameContainer.querySelectorAll('[data-game-action="mode-toggle"]').forEach(button => {
+      button.textContent = gameMode === 'lanes' ? 'Mode: Lanes' : 'Mode: Classic';
+    });
+    if (leaderboardTitle) {
+      leaderboardTitle.textContent = gameMode === 'lanes' ? 'Leaderboard: Lanes' : 'Leaderboard';
+    }
+  }
+
+  // Lane dividers and camera height follow the mode being shown
+  function syncModeView(mode) {
+    centerLines.forEach(line => {
+      line.visible = mode === 'classic';
+    });
+    laneLines.forEach(line => {
+      line.visible = mode === 'lanes';
+    });
+    cameraHeight = CAMERA_HEIGHTS[mode];
+    camera.position.y = cameraHeight;
+    camera.lookAt(0, 0, 0);
+  }
+
+  function updateKeyCaptureToggle() {
+    gameContainer.querySelectorAll('[data-game-action="key-capture"]').forEach(button => {
+      button.textContent = captureKeysGlobally ? 'Keys: Page-wide in runs' : 'Keys: When focused';
+      button.setAttribute('aria-pressed', String(captureKeysGlobally));
+    });
+  }
+
+  // The HUD and overlays pick up the high contrast palette from this class
+  function updateContrastToggle() {
+    gameContainer.classList.toggle('high-contrast', highContrast);
+    gameContainer.querySelectorAll('[data-game-action="contrast"]').forEach(button => {
+      button.textContent = highContrast ? 'Contrast: High' : 'Contrast: Normal';
+      button.setAttribute('aria-pressed', String(highContrast));
+    });
+  }
+
+  function updateAssistToggle() {
+    gameContainer.querySelectorAll('[data-game-action="assist"]').forEach(button => {
+      button.textContent = assistEnabled ? 'Assist: On' : 'Assist: Off';
+      button.setAttribute('aria-pressed', String(assistEnabled));
+    });
+  }
+
+  function updateGhostToggle() {
+    gameContainer.querySelectorAll('[data-game-action="ghost-toggle"]').forEach(button => {
+      button.textContent = ghostEnabled ? 'Ghost: On' : 'Ghost: Off';
+      button.setAttribute('aria-pressed', String(ghostEnabled));
+    });
+  }
+
+  function loadSavedRecording() {
+    const code = localStorage.getItem('dinoLastRun');
+    if (!code) return null;
+    try {
+      return Sim.decodeRecording(code);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function copyToClipboard(text) {
+    if (!navigator.clipboard) return Promise.reject(new Error('Clipboard unavailable'));
+    return navigator.clipboard.writeText(text);
+  }
+
+  /**
+   * Compose the score card: the final frame over the result, drawn in the
+   * page's current theme colours.
+   */
+  function drawScoreCard() {
+    const style = getComputedStyle(document.documentElement);
+    const theme = name => style.getPropertyValue(name).trim();
+    const font = getComputedStyle(document.body).fontFamily;
+    const card = document.createElement('canvas');
+    card.width = CARD_WIDTH;
+    card.height = CARD_HEIGHT;
+    const ctx = card.getContext('2d');
+
+    ctx.fillStyle = theme('--bg-card');
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+    // The game canvas is see-through where the sky fades, so lay the page colour under it
+    const boxWidth = CARD_WIDTH - CARD_PADDING * 2;
+    const frame = flatRenderer ? flatRenderer.canvas : canvas;
+    const scale = Math.max(boxWidth / frame.width, CARD_SNAPSHOT_HEIGHT / frame.height);
+    const cropWidth = boxWidth / scale;
+    const cropHeight = CARD_SNAPSHOT_HEIGHT / scale;
+    ctx.fillStyle = theme('--bg-primary');
+    ctx.fillRect(CARD_PADDING, CARD_PADDING, boxWidth, CARD_SNAPSHOT_HEIGHT);
+    ctx.drawImage(
+      frame,
+      (frame.width - cropWidth) / 2, (frame.height - cropHeight) / 2, cropWidth, cropHeight,
+      CARD_PADDING, CARD_PADDING, boxWidth, CARD_SNAPSHOT_HEIGHT
+    );
+    ctx.strokeStyle = theme('--border');
+    ctx.lineWidth = 2;
+    ctx.strokeRect(CARD_PADDING, CARD_PADDING, boxWidth, CARD_SNAPSHOT_HEIGHT);
+
+    const runLabel = (runDate ? 'Daily ' + runDate : sim.mode === 'lanes' ? 'Lanes' : 'Classic') +
+      (sim.assist ? ' \u00b7 Assist' : '');
+    const best = runDate ? Daily.bestFor(daily, runDate) : highScore;
+    const bottom = CARD_HEIGHT - CARD_PADDING;
+    const right = CARD_WIDTH - CARD_PADDING;
+
+    ctx.textBaseline = 'alphabetic';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = theme('--text-secondary');
+    ctx.font = '600 28px ' + font;
+    ctx.fillText('Dino Run 3D \u00b7 ' + runLabel, CARD_PADDING, CARD_PADDING + CARD_SNAPSHOT_HEIGHT + 56);
+    ctx.fillStyle = theme('--accent');
+    ctx.font = '700 96px ' + font;
+    ctx.fillText(String(sim.score), CARD_PADDING, bottom);
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = theme('--text-primary');
+    ctx.font = '600 36px ' + font;
+    ctx.fillText('Best ' + best, right, bottom - 52);
+    ctx.fillStyle = theme('--text-muted');
+    ctx.font = '500 24px ' + font;
+    ctx.fillText(new Date().toLocaleDateString() + ' \u00b7 ' + CARD_BRAND, right, bottom);
+
+    return card;
+  }
+
+  // Share the card as a file where the browser can, otherwise download it
+  function shareScoreCard(button) {
+    const score = sim.score;
+    drawScoreCard().toBlob(blob => {
+      if (!blob) return;
+
+      const file = new File([blob], 'dino-run-' + score + '.png', { type: 'image/png' });
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        navigator.share({ files: [file], title: 'Dino Run 3D', text: 'I scored ' + score + ' in Dino Run 3D!' })
+          .catch(() => {}); // Dismissing the share sheet rejects too
+      } else {
+        downloadBlob(blob, file.name);
+        flashLabel(button, 'Saved!');
+      }
+    }, 'image/png');
+  }
+
+  // A second flash before the first ends restarts the wait, and still restores the real label
+  function flashLabel(button, label) {
+    if (!button.dataset.label) button.dataset.label = button.textContent;
+    clearTimeout(Number(button.dataset.flashTimer));
+    button.textContent = label;
+    button.dataset.flashTimer = setTimeout(() => {
+      button.textContent = button.dataset.label;
+      delete button.dataset.label;
+      delete button.dataset.flashTimer;
+    }, 1500);
+  }
+
+  const overlayActions = {
+    replay() {
+      if (lastRecording) restartGame(lastRecording);
+    },
+
+    'replay-export'(button) {
+      if (!lastRecording) return;
+      const code = Sim.encodeRecording(lastRecording);
+      copyToClipboard(code).then(
+        () => flashLabel(button, 'Copied!'),
+        () => window.prompt('Copy this replay code:', code)
+      );
+    },
+
+    pause() {
+      togglePause();
+    },
+
+    mute() {
+      const audio = Sound.getSettings();
+      Sound.unlock();
+      if (audio.volume === 0) {
+        Sound.setVolume(0.5);
+      } else {
+        Sound.setMuted(!audio.muted);
+      }
+      updateAudioControls();
+    },
+
+    'music-toggle'() {
+      Sound.unlock();
+      Sound.setMusicEnabled(!Sound.getSettings().music);
+      if (Sound.getSettings().music && isRunning()) Sound.startMusic();
+      updateAudioControls();
+    },
+
+    'mode-toggle'() {
+      gameMode = gameMode === 'classic' ? 'lanes' : 'classic';
+      localStorage.setItem('dinoMode', gameMode);
+      leaderboard = Leaderboard.load(localStorage, gameMode);
+      updateHighScore();
+      updateModeToggle();
+      if (!isPlaying()) syncModeView(gameMode);
+    },
+
+    'run-type'(button) {
+      runType = button.dataset.runType === 'daily' ? 'daily' : 'endless';
+      localStorage.setItem('dinoRunType', runType);
+      updateRunType();
+    },
+
+    'daily-share'(button) {
+      if (!dailyResult) return;
+      const text = Daily.shareText(dailyResult.date, dailyResult.score);
+      copyToClipboard(text).then(
+        () => flashLabel(button, 'Copied!'),
+        () => window.prompt('Copy your result:', text)
+      );
+    },
+
+    share(button) {
+      if (sim && sim.over) shareScoreCard(button);
+    },
+
+    'key-capture'() {
+      captureKeysGlobally = !captureKeysGlobally;
+      localStorage.setItem('dinoCaptureKeys', String(captureKeysGlobally));
+      updateKeyCaptureToggle();
+    },
+
+    contrast() {
+      highContrast = !highContrast;
+      localStorage.setItem('dinoContrast', highContrast ? 'high' : 'normal');
+      updateContrastToggle();
+      onThemeChange();
+    },
+
+    assist() {
+      assistEnabled = !assistEnabled;
+      localStorage.setItem('dinoAssist', String(assistEnabled));
+      updateAssistToggle();
+    },
+
+    'ghost-toggle'() {
+      ghostEnabled = !ghostEnabled;
+      localStorage.setItem('dinoGhostEnabled', String(ghostEnabled));
+      updateGhostToggle();
+    },
+
+    leaderboard() {
+      renderLeaderboard();
+      openMenu(leaderboardScreen);
+    },
+
+    'leaderboard-close'() {
+      closeMenu();
+    },
+
+    skins() {
+      if (!skinsGrid) return;
+      renderSkins();
+      openMenu(skinsScreen);
+    },
+
+    'skins-close'() {
+      closeMenu();
+    },
+
+    settings() {
+      openMenu(settingsScreen);
+    },
+
+    'settings-close'() {
+      closeMenu();
+    },
+
+    controls() {
+      if (!bindingsGrid) return;
+      rebinding = null;
+      setBindingsStatus('');
+      renderBindings();
+      openMenu(controlsScreen);
+    },
+
+    'controls-close'() {
+      rebinding = null;
+      closeMenu();
+    },
+
+    'controls-reset'() {
+      controls = Controls.createBindings();
+      rebinding = null;
+      saveControls();
+      renderBindings();
+      setBindingsStatus('Controls reset to defaults.');
+    },
+
+    'touch-scheme'() {
+      const schemes = Controls.TOUCH_SCHEMES;
+      controls.touch = schemes[(schemes.indexOf(controls.touch) + 1) % schemes.length];
+      saveControls();
+    },
+
+    'leaderboard-export'() {
+      exportLeaderboard();
+    },
+
+    'leaderboard-import'() {
+      if (leaderboardFile) leaderboardFile.click();
+    },
+
+    'replay-import'() {
+      const code = window.prompt('Paste a replay code:');
+      if (!code) return;
+
+      let recording;
+      try {
+        recording = Sim.decodeRecording(code);
+      } catch (err) {
+        window.alert(err.message);
+        return;
+      }
+      restartGame(recording);
+    }
+  };
+
+  // Keep presses on overlay controls from also starting a run via the overlay
+  function stopOverlayPointer(el) {
+    ['mousedown', 'mouseup', 'touchstart', 'touchend', 'click'].forEach(type => {
+      el.addEventListener(type, e => e.stopPropagation(), { passive: true });
+    });
+  }
+
+  function bindOverlayActions() {
+    gameContainer.querySelectorAll('[data-game-action]').forEach(button => {
+      stopOverlayPointer(button);
+      button.addEventListener('click', e => {
+        const action = overlayActions[button.dataset.gameAction];
+        if (action) action(button);
+        // Keyboard users keep their place unless the button's overlay or menu just closed.
+        // A mouse or touch press (detail > 0) hands the keys back so Space jumps, not re-presses
+        if (e.detail > 0 || isHiddenControl(button)) focusGame();
+      });
+    });
+  }
+
+  function isHiddenControl(el) {
+    const overlay = el.closest('.game-overlay');
+    return el.hidden || (!!overlay && overlay.style.display === 'none');
+  }
+
+  function updateReplayActions() {
+    gameContainer.querySelectorAll('[data-game-action="replay"], [data-game-action="replay-export"]')
+      .forEach(button => {
+        button.hidden = !lastRecording;
+      });
+  }
+
+  function handleSimEvents(events) {
+    events.forEach(event => {
+      switch (event.type) {
+        case 'jump':
+        case 'land':
+          Sound.play(event.type);
           createJumpParticles();
+          break;
+        case 'score':
+          if (scoreEl) scoreEl.textContent = sim.score;
+          createScoreParticles();
+          if (Math.floor(sim.score / MILESTONE_POINTS) > lastMilestone) {
+            lastMilestone = Math.floor(sim.score / MILESTONE_POINTS);
+            Sound.play('milestone');
+            announce(lastMilestone * MILESTONE_POINTS + ' points.');
+          } else {
+            Sound.play('score');
+          }
+          break;
+        case 'pickup':
+          Sound.play('pickup');
+          createPickupParticles(POWER_UP_COLORS[event.pickup.type]);
+          break;
+        case 'coin':
+          Sound.play('coin');
+          if (!sim.replaying) {
+            wallet.coins++;
+            Skins.save(localStorage, wallet);
+            updateCoins();
+          }
+          break;
+        case 'shield':
+          Sound.play('shield');
+          createDeathParticles();
+          break;
+        case 'death':
+          Sound.play('death');
+          endGame();
+          break;
+      }
+    });
+  }
+
+  /**
+   * Assist mode: sound a cue once for each obstacle heading down the dino's
+   * lane, rising if it has to be jumped and falling if it can be ducked.
+   * Birds flying over a standing dino get none.
+   */
+  function cueObstacles() {
+    const top = ducking => Math.max(...Sim.getDinoHitboxes(Object.assign({}, sim.dino, {
+      y: sim.dino.baseY,
+      ducking,
+      jumping: false
+    })).map(box => box.maxY));
+
+    sim.obstacles.forEach(obstacle => {
+      if (obstacle.passed || cuedObstacles.has(obstacle.id) || obstacle.lane !== sim.dino.lane) return;
+      if ((obstacle.x - sim.dino.x) / sim.speed > ASSIST_CUE_TICKS) return;
+
+      cuedObstacles.add(obstacle.id);
+      const bottom = Math.min(...Sim.getObstacleHitboxes(obstacle).map(box => box.minY));
+      if (bottom >= top(false)) return;
+      Sound.play(bottom >= top(true) ? 'cueDuck' : 'cueJump');
+    });
+  }
+
+  // Polite live region for run start, milestones and the end of a run
+  function announce(message) {
+    if (!announcerEl) return;
+    announcerEl.textContent = '';
+    setTimeout(() => {
+      announcerEl.textContent = message;
+    }, ANNOUNCE_DELAY_MS);
+  }
+
+  function onResize() {
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    if (flatRenderer) {
+      flatRenderer.setSize(width, height, Quality.getPixelRatio());
+    } else {
+      renderer.setSize(width, height);
+    }
+  }
+
+  function onQualityChange(profile) {
+    quality = profile;
+    if (flatRenderer) {
+      flatRenderer.setSize(canvas.clientWidth, canvas.clientHeight, Quality.getPixelRatio());
+    } else {
+      renderer.setPixelRatio(Quality.getPixelRatio());
+    }
+    applyEnvironment();
+
+    // Resizing the drawing buffer blanks it, so redraw a stopped game right away
+    if (frameId === null && !contextLost) renderFrame();
+  }
+
+  function onMotionChange(reduced) {
+    reducedMotion = reduced;
+  }
+
+  function onThemeChange() {
+    colors = getThemeColors();
+
+    // Update dino colors
+    dino.traverse(child => {
+      if (child.isMesh && child.material.userData.themed) {
+        child.material.color.setHex(colors.dino);
+        child.material.emissive.setHex(colors.dino);
+      }
+    });
+
+    ghost.traverse(child => {
+      if (child.isMesh) child.material.color.setHex(colors.dino);
+    });
+
+    // Update ground, sky and stars for the current stage
+    stagePalettes = ENVIRONMENT_STAGES.map(resolveStage);
+    applyEnvironment();
+
+    // Every obstacle, pooled or live, shares these two materials
+    [[obstacleMaterials.cactus, colors.obstacle], [obstacleMaterials.pterodactyl, colors.secondary]]
+      .forEach(([material, color]) => {
+        material.color.setHex(color);
+        material.emissive.setHex(color);
+      });
+  }
+
+  // Mirror the simulation onto the meshes, interpolating between the last two ticks
+  function syncScene(alpha) {
+    const live = new Set();
+
+    sim.obstacles.forEach(obs => {
+      live.add(obs.id);
+      const mesh = obstacleMeshes.get(obs.id) || createObstacleMesh(obs);
+      mesh.position.x = obs.prevX + (obs.x - obs.prevX) * alpha;
+
+      // Wings flap in the simulation because they are part of the hitbox
+      if (obs.type === 'pterodactyl') {
+        const wingAngle = Math.sin(obs.wingPhase) * Sim.CONFIG.wingSwing;
+        mesh.userData.wingL.rotation.x = wingAngle;
+        mesh.userData.wingR.rotation.x = -wingAngle;
+      }
+    });
+
+    // Pickups bob and spin on the render clock; only x matters to the simulation
+    const spin = (sim.tick + alpha) * 0.05;
+    sim.pickups.forEach(pickup => {
+      live.add(pickup.id);
+      const mesh = pickupMeshes.get(pickup.id) || createPickupMesh(pickup);
+      mesh.position.x = pickup.prevX + (pickup.x - pickup.prevX) * alpha;
+      mesh.position.y = pickup.y + Math.sin(spin + pickup.id) * 0.15;
+      mesh.rotation.y = spin;
+    });
+
+    // Return off-screen and collected entities to their pools
+    [[obstacleMeshes, obstaclePools], [pickupMeshes, pickupPools]].forEach(([meshes, pools]) => {
+      meshes.forEach((mesh, id) => {
+        if (!live.has(id)) {
+          releaseMesh(pools, mesh);
+          meshes.delete(id);
         }
+      });
+    });
+
+    const state = sim.dino;
+    const crouched = state.ducking && !state.jumping;
+    dino.position.y = state.prevY + (state.y - state.prevY) * alpha - (crouched ? Sim.CONFIG.duckDrop : 0);
+    dino.position.z = state.prevZ + (state.z - state.prevZ) * alpha;
+    dino.scale.y = state.ducking ? Sim.CONFIG.duckScale : 1;
+    dino.userData.legL.rotation.x = state.legAngle;
+    dino.userData.legR.rotation.x = -state.legAngle;
+
+    syncPowerUps(spin);
+    syncGhost(alpha);
+  }
+
+  // Show each active power-up on the dino and count it down in the UI
+  function syncPowerUps(spin) {
+    const effects = dino.userData.effects;
+
+    Sim.POWER_UPS.forEach(powerUp => {
+      const remaining = sim.over ? 0 : sim.effects[powerUp];
+      const blinking = remaining < POWER_UP_WARNING_TICKS && Math.floor(remaining / 8) % 2 === 1;
+      effects[powerUp].visible = remaining > 0 && !blinking;
+
+      const el = powerUpEls[powerUp];
+      if (!el) return;
+      el.hidden = remaining === 0;
+      if (remaining > 0) {
+        const seconds = Math.ceil(remaining * Sim.TICK_MS / 1000) + 's';
+        const timeEl = el.querySelector('span');
+        if (timeEl.textContent !== seconds) timeEl.textContent = seconds;
       }
+    });
+
+    effects.slowMotion.rotation.z = spin * 0.5;
+    effects.multiplier.rotation.z = spin * 2;
+  }
+
+  // Place the ghost where the best run was at this moment, ahead or behind by distance
+  function syncGhost(alpha) {
+    const racing = ghostEnabled && ghostRun && !sim.replaying && !runDate && !sim.assist && sim.mode === 'classic';
+    if (ghostDisplay) ghostDisplay.hidden = !racing;
+    if (!racing) {
+      ghost.visible = false;
+      return;
+    }
+
+    const samples = ghostRun.samples;
+    const at = Math.max(0, sim.tick - 1 + alpha) / ghostRun.every;
+    const i = Math.min(Math.floor(at) * GHOST_SAMPLE_SIZE, samples.length - GHOST_SAMPLE_SIZE);
+    const next = i + GHOST_SAMPLE_SIZE;
+    updateGhostDelta(sim.score - samples[i + 3]);
+
+    // Past the point where the best run died the ghost is gone
+    if (next >= samples.length || sim.over) {
+      ghost.visible = false;
+      return;
+    }
+
+    const t = at - Math.floor(at);
+    const height = samples[i] + (samples[next] - samples[i]) * t;
+    const distance = samples[i + 2] + (samples[next + 2] - samples[i + 2]) * t;
+    const ducking = samples[i + 1] === 1;
+    const playerDistance = sim.distance - sim.speed * (1 - alpha);
+    const lead = Math.max(-6, Math.min(6, distance - playerDistance));
+
+    ghost.visible = true;
+    ghost.userData.pose = { x: Sim.CONFIG.dinoX + lead, y: dino.userData.baseY + height, ducking, jumping: height > 0 };
+    ghost.position.x = Sim.CONFIG.dinoX + lead;
+    ghost.position.y = dino.userData.baseY + height - (ducking && height === 0 ? Sim.CONFIG.duckDrop : 0);
+    ghost.scale.y = ducking ? Sim.CONFIG.duckScale : 1;
+  }
+
+  function updateGhostDelta(delta) {
+    if (!ghostDeltaEl) return;
+    ghostDeltaEl.textContent = (delta >= 0 ? '+' : '') + delta;
+    ghostDeltaEl.className = delta >= 0 ? 'ahead' : 'behind';
+  }
+
+  function animate(time) {
+    frameId = shouldRender() ? requestAnimationFrame(animate) : null;
+
+    // Clamp long frames so the simulation never has to catch up far
+    const elapsed = lastTime === null ? 0 : Math.min(time - lastTime, 100);
+    lastTime = time;
+    const frameTicks = elapsed / Sim.TICK_MS;
 
-      // Animate dino legs
-      if (!isJumping && dino.userData.legL && dino.userData.legR) {
-        const legAngle = Math.sin(time * 0.02 * speed * 10) * 0.5;
-        dino.userData.legL.rotation.x = legAngle;
-        dino.userData.legR.rotation.x = -legAngle;
+    pollGamepad();
+
+    if (resumeCountdown > 0) {
+      updateResumeCountdown(elapsed);
+    }
+
+    if (isRunning()) {
+      // Run the simulation at its fixed tick, however fast we render
+      accumulator += elapsed;
+      while (accumulator >= Sim.TICK_MS && !sim.over) {
+        accumulator -= Sim.TICK_MS;
+        const events = sim.step();
+        if (sim.tick % GHOST_SAMPLE_TICKS === 0) recordTraceSample();
+        handleSimEvents(events);
+        if (sim.assist) cueObstacles();
       }
+    }
+
+    if (sim) {
+      syncScene(sim.over ? 1 : accumulator / Sim.TICK_MS);
+    }
+
+    if (isRunning()) {
+      // Music keeps pace with the run
+      Sound.setTempo(sim.speed / Sim.CONFIG.baseSpeed);
+
+      // Update ground lines (scrolling effect)
+      groundLines.forEach(line => {
+        line.position.x -= sim.speed * frameTicks;
+        if (line.position.x < -40) {
+          line.position.x += 80;
+        }
+      });
 
       // Bob dino head slightly
       if (dino.userData.head) {
@@ -776,53 +2747,55 @@
     // Update particles
     for (let i = particles.length - 1; i >= 0; i--) {
       const p = particles[i];
-      p.position.x += p.userData.velocity.x;
-      p.position.y += p.userData.velocity.y;
-      p.position.z += p.userData.velocity.z;
-      p.userData.velocity.y -= 0.008;
-      p.userData.life -= 0.02;
+      p.position.x += p.userData.velocity.x * frameTicks;
+      p.position.y += p.userData.velocity.y * frameTicks;
+      p.position.z += p.userData.velocity.z * frameTicks;
+      p.userData.velocity.y -= 0.008 * frameTicks;
+      p.userData.life -= 0.02 * frameTicks;
       p.material.opacity = p.userData.life;
 
       if (p.userData.rotSpeed) {
-        p.rotation.x += p.userData.rotSpeed.x;
-        p.rotation.y += p.userData.rotSpeed.y;
-        p.rotation.z += p.userData.rotSpeed.z;
+        p.rotation.x += p.userData.rotSpeed.x * frameTicks;
+        p.rotation.y += p.userData.rotSpeed.y * frameTicks;
+        p.rotation.z += p.userData.rotSpeed.z * frameTicks;
       }
 
       if (p.userData.life <= 0) {
-        scene.remove(p);
+        releaseParticle(p);
         particles.splice(i, 1);
       }
     }
 
+    updateEnvironment(frameTicks);
+
     // Animate stars
     stars.forEach(star => {
-      star.rotation.y += 0.0002;
+      star.rotation.y += 0.0002 * frameTicks;
     });
 
     // Camera shake on game over
-    if (gameOver && particles.length > 0) {
+    if (sim && sim.over && particles.length > 0 && !reducedMotion) {
       camera.position.x = (Math.random() - 0.5) * 0.2;
-      camera.position.y = 2 + (Math.random() - 0.5) * 0.2;
+      camera.position.y = cameraHeight + (Math.random() - 0.5) * 0.2;
     } else {
       camera.position.x += (0 - camera.position.x) * 0.1;
-      camera.position.y += (2 - camera.position.y) * 0.1;
+      camera.position.y += (cameraHeight - camera.position.y) * 0.1;
     }
 
-    renderer.render(scene, camera);
+    renderFrame();
   }
 
   // Load Three.js and initialize
   function loadThreeJS() {
-    if (typeof THREE !== 'undefined') {
-      init();
-      return;
-    }
+    ThreeLoader.load().then(init).catch(showLoadError);
+  }
 
-    const script = document.createElement('script');
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js';
-    script.onload = init;
-    document.head.appendChild(script);
+  // Swap the game for a message when Three.js couldn't be loaded or the game failed to set up
+  function showLoadError(err) {
+    const errorEl = document.getElementById('game-error');
+    gameContainer.hidden = true;
+    if (errorEl) errorEl.hidden = false;
+    console.error('[Dino] ' + err.message);
   }
 
   // Start when DOM is ready
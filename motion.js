@@ -0,0 +1,103 @@
+/**
+ * Reduced Motion
+ * Whether the page should keep movement to a minimum. Auto follows the
+ * system's prefers-reduced-motion, live; On and Off override it. The page
+ * CSS, the background scene and the game all follow the result.
+ */
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'motion';
+  // 'full' keeps motion on, 'reduced' turns it off
+  const SETTINGS = ['system', 'reduced', 'full'];
+  const LABELS = { system: 'Auto', reduced: 'Off', full: 'On' };
+
+  const query = root.matchMedia ? root.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  const listeners = [];
+  let setting = loadSetting();
+
+  function loadSetting() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return SETTINGS.indexOf(saved) !== -1 ? saved : 'system';
+  }
+
+  function getSetting() {
+    return setting;
+  }
+
+  function isReduced() {
+    if (setting === 'system') return !!query && query.matches;
+    return setting === 'reduced';
+  }
+
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  function notify(wasReduced) {
+    const reduced = isReduced();
+    applyDocument();
+    updateToggle();
+    if (reduced !== wasReduced) listeners.forEach(listener => listener(reduced));
+  }
+
+  function setSetting(value) {
+    if (SETTINGS.indexOf(value) === -1) return;
+
+    const wasReduced = isReduced();
+    setting = value;
+    localStorage.setItem(STORAGE_KEY, setting);
+    notify(wasReduced);
+  }
+
+  // The page's own CSS animations key off this attribute
+  function applyDocument() {
+    document.documentElement.setAttribute('data-motion', isReduced() ? 'reduced' : 'full');
+  }
+
+  function updateToggle() {
+    const toggle = document.getElementById('motion-toggle');
+    if (!toggle) return;
+
+    toggle.textContent = 'Motion: ' + LABELS[setting];
+    toggle.setAttribute('aria-label', 'Motion: ' + LABELS[setting] +
+      (setting === 'system' ? ' (' + (isReduced() ? 'reduced' : 'full') + ' from system setting)' : ''));
+  }
+
+  function bindToggle() {
+    const toggle = document.getElementById('motion-toggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('click', () => {
+      setSetting(SETTINGS[(SETTINGS.indexOf(setting) + 1) % SETTINGS.length]);
+    });
+    updateToggle();
+  }
+
+  // Follow the system setting as it changes; older Safari only has addListener
+  if (query) {
+    const onQueryChange = () => {
+      if (setting === 'system') notify(!query.matches);
+    };
+    if (query.addEventListener) {
+      query.addEventListener('change', onQueryChange);
+    } else if (query.addListener) {
+      query.addListener(onQueryChange);
+    }
+  }
+
+  applyDocument();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindToggle);
+  } else {
+    bindToggle();
+  }
+
+  root.SiteMotion = {
+    getSetting,
+    setSetting,
+    isReduced,
+    onChange
+  };
+})(window);
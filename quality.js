@@ -0,0 +1,179 @@
+/**
+ * Adaptive Quality
+ * One quality level for every WebGL canvas on the page. In Auto a frame-time
+ * monitor steps the level down when the page drops frames and back up when
+ * there is headroom; Low, Medium and High pin it. The background scene and
+ * the game both read the profile and listen for changes.
+ */
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'quality';
+  const SETTINGS = ['auto', 'low', 'medium', 'high'];
+  const LEVELS = ['low', 'medium', 'high'];
+
+  // detail scales particle, star, shape and core counts and particle effects
+  const PROFILES = {
+    low: { maxPixelRatio: 1, detail: 0.35 },
+    medium: { maxPixelRatio: 1.5, detail: 0.65 },
+    high: { maxPixelRatio: 2, detail: 1 }
+  };
+
+  // Averages over this many frames decide each step
+  const SAMPLE_FRAMES = 90;
+  const SLOW_FRAME_MS = 1000 / 45;
+  const FAST_FRAME_MS = 1000 / 57;
+  // Fast windows needed before stepping up; doubles after every step down
+  const HEADROOM_WINDOWS = 3;
+  const MAX_HEADROOM_WINDOWS = 24;
+  // Longer gaps are a hidden tab or a breakpoint, not a slow frame
+  const MAX_FRAME_GAP_MS = 250;
+
+  const listeners = [];
+  let setting = loadSetting();
+  let autoLevel = 'high';
+  let monitorId = null;
+  let lastFrame = null;
+  let frameTotal = 0;
+  let frameCount = 0;
+  let fastWindows = 0;
+  let headroomWindows = HEADROOM_WINDOWS;
+
+  function loadSetting() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return SETTINGS.indexOf(saved) !== -1 ? saved : 'auto';
+  }
+
+  function getSetting() {
+    return setting;
+  }
+
+  function getLevel() {
+    return setting === 'auto' ? autoLevel : setting;
+  }
+
+  function getProfile() {
+    return Object.assign({ level: getLevel() }, PROFILES[getLevel()]);
+  }
+
+  // Device pixel ratio capped by the current level
+  function getPixelRatio() {
+    return Math.min(root.devicePixelRatio || 1, PROFILES[getLevel()].maxPixelRatio);
+  }
+
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  function notify(previousLevel) {
+    if (getLevel() === previousLevel) return;
+    const profile = getProfile();
+    listeners.forEach(listener => listener(profile));
+  }
+
+  function setSetting(value) {
+    if (SETTINGS.indexOf(value) === -1) return;
+
+    const previousLevel = getLevel();
+    setting = value;
+    localStorage.setItem(STORAGE_KEY, setting);
+    resetSamples();
+    syncMonitor();
+    updateToggle();
+    notify(previousLevel);
+  }
+
+  function step(direction) {
+    const index = LEVELS.indexOf(autoLevel) + direction;
+    if (index < 0 || index >= LEVELS.length) return;
+
+    const previousLevel = autoLevel;
+    autoLevel = LEVELS[index];
+    // Settle for longer before trying a level that already proved too slow
+    if (direction < 0) headroomWindows = Math.min(headroomWindows * 2, MAX_HEADROOM_WINDOWS);
+    updateToggle();
+    notify(previousLevel);
+  }
+
+  function resetSamples() {
+    lastFrame = null;
+    frameTotal = 0;
+    frameCount = 0;
+    fastWindows = 0;
+  }
+
+  function monitor(now) {
+    monitorId = requestAnimationFrame(monitor);
+
+    if (lastFrame !== null && now - lastFrame < MAX_FRAME_GAP_MS) {
+      frameTotal += now - lastFrame;
+      frameCount++;
+    }
+    lastFrame = now;
+    if (frameCount < SAMPLE_FRAMES) return;
+
+    const average = frameTotal / frameCount;
+    frameTotal = 0;
+    frameCount = 0;
+
+    if (average > SLOW_FRAME_MS) {
+      fastWindows = 0;
+      step(-1);
+    } else if (average < FAST_FRAME_MS) {
+      fastWindows++;
+      if (fastWindows >= headroomWindows) {
+        fastWindows = 0;
+        step(1);
+      }
+    } else {
+      fastWindows = 0;
+    }
+  }
+
+  // Only Auto needs frame times
+  function syncMonitor() {
+    if (setting === 'auto' && monitorId === null) {
+      monitorId = requestAnimationFrame(monitor);
+    } else if (setting !== 'auto' && monitorId !== null) {
+      cancelAnimationFrame(monitorId);
+      monitorId = null;
+    }
+  }
+
+  function updateToggle() {
+    const toggle = document.getElementById('quality-toggle');
+    if (!toggle) return;
+
+    const label = setting.charAt(0).toUpperCase() + setting.slice(1);
+    toggle.textContent = label;
+    toggle.setAttribute('aria-label', 'Graphics quality: ' + label +
+      (setting === 'auto' ? ' (' + autoLevel + ')' : ''));
+  }
+
+  function bindToggle() {
+    const toggle = document.getElementById('quality-toggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('click', () => {
+      setSetting(SETTINGS[(SETTINGS.indexOf(setting) + 1) % SETTINGS.length]);
+    });
+    updateToggle();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindToggle);
+  } else {
+    bindToggle();
+  }
+  syncMonitor();
+
+  root.SiteQuality = {
+    getSetting,
+    setSetting,
+    getLevel,
+    getProfile,
+    getPixelRatio,
+    onChange
+  };
+})(window);
@@ -1,14 +1,17 @@
 /**
  * 3D Cosmic Background Scene
  * Interactive particle system with floating geometric shapes
- * Supports dark/light theme switching
+ * Supports dark/light theme switching, and slows to a drift for reduced motion
  */
 
 (function() {
   'use strict';
 
   const canvas = document.getElementById('bg-canvas');
-  if (!canvas) return;
+  const Quality = window.SiteQuality;
+  const ThreeLoader = window.SiteThree;
+  const Motion = window.SiteMotion;
+  if (!canvas || !Quality || !ThreeLoader || !Motion) return;
 
   let scene, camera, renderer;
   let particles, particleMaterial;
@@ -20,12 +23,21 @@
   let colors;
   let time = 0;
   let isInitialized = false;
+  // How many particles, shapes and cores the current quality level shows
+  let visibleParticles = 0;
+  let visibleCores = 0;
 
   const mouse = { x: 0, y: 0, targetX: 0, targetY: 0 };
   let mouse3D;
   const particleCount = 1500;
+  const shapeCount = 12;
+  const coreCount = 25;
   const repulsionRadius = 8;
   const repulsionStrength = 0.15;
+  // Reduced motion: everything drifts at this fraction of its speed and the mouse is ignored
+  const reducedDrift = 0.1;
+  let drift = 1;
+  let followMouse = true;
 
   // Theme color configurations
   function getThemeColors() {
@@ -51,21 +63,30 @@
     // Scene setup
     scene = new THREE.Scene();
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    renderer = new THREE.WebGLRenderer({
-      canvas,
-      antialias: true,
-      alpha: true,
-      powerPreference: 'high-performance'
-    });
+    // The background is decoration: without WebGL, leave the page colour showing
+    try {
+      renderer = new THREE.WebGLRenderer({
+        canvas,
+        antialias: true,
+        alpha: true,
+        powerPreference: 'high-performance'
+      });
+    } catch (e) {
+      canvas.hidden = true;
+      return;
+    }
 
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     renderer.setClearColor(0x000000, 0);
 
     createParticles();
     createShapes();
     createCores();
     createLines();
+    applyQuality(Quality.getProfile());
+    Quality.onChange(applyQuality);
+    applyMotion(Motion.isReduced());
+    Motion.onChange(applyMotion);
 
     camera.position.z = 25;
 
@@ -129,7 +150,7 @@
       new THREE.DodecahedronGeometry(0.8, 0)
     ];
 
-    for (let i = 0; i < 12; i++) {
+    for (let i = 0; i < shapeCount; i++) {
       const geometry = geometries[Math.floor(Math.random() * geometries.length)];
       const material = new THREE.MeshBasicMaterial({
         color: Math.random() > 0.5 ? colors.primary : colors.secondary,
@@ -169,7 +190,7 @@
   function createCores() {
     const geometry = new THREE.SphereGeometry(0.12, 12, 12);
 
-    for (let i = 0; i < 25; i++) {
+    for (let i = 0; i < coreCount; i++) {
       const material = new THREE.MeshBasicMaterial({
         color: Math.random() > 0.5 ? colors.primary : colors.secondary,
         transparent: true,
@@ -213,13 +234,45 @@
     }
   }
 
+  // Everything is created up front; lower levels just draw and animate less of it
+  function applyQuality(profile) {
+    renderer.setPixelRatio(Quality.getPixelRatio());
+
+    visibleParticles = Math.round(particleCount * profile.detail);
+    particles.geometry.setDrawRange(0, visibleParticles);
+
+    const visibleShapes = Math.round(shapeCount * profile.detail);
+    shapes.forEach((shape, i) => {
+      shape.visible = i < visibleShapes;
+    });
+
+    visibleCores = Math.round(coreCount * profile.detail);
+    cores.forEach((core, i) => {
+      core.visible = i < visibleCores;
+    });
+    lines.forEach((line, i) => {
+      line.visible = i < visibleCores - 1;
+    });
+  }
+
+  // The camera and repulsion ease back to the centre once the mouse stops counting
+  function applyMotion(reduced) {
+    drift = reduced ? reducedDrift : 1;
+    followMouse = !reduced;
+    if (reduced) {
+      mouse.targetX = 0;
+      mouse.targetY = 0;
+    }
+  }
+
   function onMouseMove(event) {
+    if (!followMouse) return;
     mouse.targetX = (event.clientX / window.innerWidth) * 2 - 1;
     mouse.targetY = -(event.clientY / window.innerHeight) * 2 + 1;
   }
 
   function onTouchMove(event) {
-    if (event.touches.length > 0) {
+    if (followMouse && event.touches.length > 0) {
       mouse.targetX = (event.touches[0].clientX / window.innerWidth) * 2 - 1;
       mouse.targetY = -(event.touches[0].clientY / window.innerHeight) * 2 + 1;
     }
@@ -260,7 +313,7 @@
   function animate() {
     requestAnimationFrame(animate);
 
-    time += 0.008;
+    time += 0.008 * drift;
 
     // Smooth mouse follow
     mouse.x += (mouse.targetX - mouse.x) * 0.08;
@@ -271,11 +324,11 @@
 
     // Update particles with repulsion
     const posArray = particles.geometry.attributes.position.array;
-    for (let i = 0; i < particleCount * 3; i += 3) {
+    for (let i = 0; i < visibleParticles * 3; i += 3) {
       // Base movement
-      basePositions[i] += velocities[i];
-      basePositions[i + 1] += velocities[i + 1];
-      basePositions[i + 2] += velocities[i + 2];
+      basePositions[i] += velocities[i] * drift;
+      basePositions[i + 1] += velocities[i + 1] * drift;
+      basePositions[i + 2] += velocities[i + 2] * drift;
 
       // Boundary check
       if (Math.abs(basePositions[i]) > 30) velocities[i] *= -1;
@@ -310,9 +363,11 @@
 
     // Update shapes with mouse repulsion
     shapes.forEach(shape => {
-      shape.rotation.x += shape.userData.rotationSpeed.x;
-      shape.rotation.y += shape.userData.rotationSpeed.y;
-      shape.rotation.z += shape.userData.rotationSpeed.z;
+      if (!shape.visible) return;
+
+      shape.rotation.x += shape.userData.rotationSpeed.x * drift;
+      shape.rotation.y += shape.userData.rotationSpeed.y * drift;
+      shape.rotation.z += shape.userData.rotationSpeed.z * drift;
 
       // Floating animation
       const floatY = Math.sin(time * shape.userData.floatSpeed + shape.userData.floatOffset) * 1.5;
@@ -334,6 +389,8 @@
 
     // Update cores with pulsing and orbital motion
     cores.forEach((core, i) => {
+      if (!core.visible) return;
+
       const pulse = Math.sin(time * core.userData.speed * 2 + core.userData.offset);
       core.scale.setScalar(0.7 + pulse * 0.3);
 
@@ -345,7 +402,7 @@
 
     // Update connection lines between nearby cores
     lines.forEach((line, i) => {
-      if (i < cores.length - 1) {
+      if (line.visible) {
         const positions = line.geometry.attributes.position.array;
         positions[0] = cores[i].position.x;
         positions[1] = cores[i].position.y;
@@ -369,17 +426,11 @@
     renderer.render(scene, camera);
   }
 
-  // Load Three.js and initialize
+  // Load Three.js and initialize; without it the background is just the page colour
   function loadThreeJS() {
-    if (typeof THREE !== 'undefined') {
-      init();
-      return;
-    }
-
-    const script = document.createElement('script');
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js';
-    script.onload = init;
-    document.head.appendChild(script);
+    ThreeLoader.load().then(init).catch(() => {
+      canvas.hidden = true;
+    });
   }
 
   // Start loading immediately
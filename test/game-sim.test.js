@@ -0,0 +1,156 @@
+/**
+ * Dino Run simulation checks. Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Sim = require('../game-sim.js');
+
+const CONFIG = Sim.CONFIG;
+const BASE_Y = CONFIG.groundY + 0.4;
+
+// Scripted but seed-dependent input: taps and holds at uneven intervals
+function playRun(options, maxTicks, onTick) {
+  const sim = Sim.createSimulation(options);
+  const press = Sim.createRng((options.seed ^ 0x5bd1e995) + (options.style || 0));
+  const actions = sim.mode === 'lanes' ? ['jump', 'duck', 'left', 'right'] : ['jump', 'duck'];
+  let held = null;
+
+  while (!sim.over && sim.tick < maxTicks) {
+    if (press() < 0.05) {
+      if (held) sim.setInput(held, false);
+      held = actions[Math.floor(press() * actions.length)];
+      sim.setInput(held, true);
+    } else if (held && press() < 0.2) {
+      sim.setInput(held, false);
+      held = null;
+    }
+    sim.step();
+    if (onTick) onTick(sim);
+  }
+  return sim;
+}
+
+function cactus(x, lane) {
+  return {
+    type: 'cactus',
+    x,
+    y: CONFIG.groundY,
+    variant: { trunkHeight: 2.5 },
+    lane: lane || 0,
+    z: Sim.getLaneZ(lane || 0)
+  };
+}
+
+// Three pterodactyls stacked in one lane: too tall to jump, too low to duck
+function gate(x, lane) {
+  return ['low', 'high', 'top'].map(height => ({
+    type: 'pterodactyl',
+    x,
+    y: CONFIG.groundY + CONFIG.birdHeights[height],
+    variant: {},
+    wingPhase: 0,
+    lane,
+    z: Sim.getLaneZ(lane)
+  }));
+}
+
+test('the same seed and inputs play out the same run', () => {
+  [1, 42].forEach(seed => {
+    const first = playRun({ seed }, 20000);
+    const second = playRun({ seed }, 20000);
+    assert.ok(first.tick > 0);
+    assert.equal(second.tick, first.tick, 'tick for seed ' + seed);
+    assert.equal(second.score, first.score, 'score for seed ' + seed);
+    assert.equal(second.over, first.over);
+  });
+});
+
+test('replays reproduce the original run', () => {
+  const runs = [
+    { seed: 1, mode: 'classic' },
+    { seed: 42, mode: 'classic' },
+    { seed: 7, mode: 'lanes' },
+    { seed: 99, mode: 'classic', assist: true }
+  ];
+
+  runs.forEach(options => {
+    const original = playRun(options, 20000);
+    const recording = Sim.decodeRecording(Sim.encodeRecording(original.getRecording()));
+    assert.equal(recording.mode, original.mode);
+    assert.equal(recording.assist, original.assist);
+
+    const replay = Sim.createSimulation({
+      seed: recording.seed,
+      inputs: recording.inputs,
+      mode: recording.mode,
+      assist: recording.assist
+    });
+    while (!replay.over && replay.tick < original.tick) replay.step();
+
+    assert.equal(replay.tick, original.tick, 'tick for seed ' + options.seed);
+    assert.equal(replay.score, original.score, 'score for seed ' + options.seed);
+    assert.equal(replay.coins, original.coins, 'coins for seed ' + options.seed);
+    assert.equal(replay.over, original.over);
+  });
+});
+
+test('daily courses are the same whatever the player picks up', () => {
+  [3, 20261019].forEach(seed => {
+    const courses = [0, 1, 2].map(style => {
+      const spawns = [];
+      const seen = {};
+      const sim = playRun({ seed, mode: 'classic', powerUps: false, style }, 20000, run => {
+        run.obstacles.forEach(obstacle => {
+          if (seen[obstacle.id]) return;
+          seen[obstacle.id] = true;
+          spawns.push({ tick: run.tick, id: obstacle.id, type: obstacle.type, y: obstacle.y });
+        });
+        assert.ok(run.pickups.every(pickup => pickup.type === 'coin'), 'no power-ups on seed ' + seed);
+      });
+      return { spawns, ticks: sim.tick };
+    });
+
+    const ticks = Math.min(...courses.map(course => course.ticks));
+    const upTo = course => course.spawns.filter(spawn => spawn.tick <= ticks);
+    assert.ok(upTo(courses[0]).length > 0);
+    courses.slice(1).forEach(course => assert.deepEqual(upTo(course), upTo(courses[0])));
+  });
+
+  const sim = playRun({ seed: 5, mode: 'classic', powerUps: false }, 2000);
+  const recording = Sim.decodeRecording(Sim.encodeRecording(sim.getRecording()));
+  assert.equal(recording.powerUps, false);
+});
+
+test('replay codes from another version or garbage are refused', () => {
+  assert.throws(() => Sim.decodeRecording('not a replay'), /Invalid replay code/);
+  assert.throws(() => Sim.decodeRecording(btoa(JSON.stringify({ v: 0, i: [] }))), /Unsupported replay code/);
+});
+
+test('the fairness checker passes a lone cactus and refuses a gate', () => {
+  const speed = CONFIG.baseSpeed;
+  assert.equal(Sim.isClearable([cactus(CONFIG.spawnX, 0)], CONFIG.dinoX, BASE_Y, speed), true);
+  assert.equal(Sim.isClearable(gate(CONFIG.spawnX, 0), CONFIG.dinoX, BASE_Y, speed), false);
+});
+
+test('the fairness checker refuses cacti too close together to land between', () => {
+  const speed = CONFIG.baseSpeed;
+  const row = [];
+  for (let x = CONFIG.spawnX; x < CONFIG.spawnX + 30; x += 2) row.push(cactus(x, 0));
+  assert.equal(Sim.isClearable(row, CONFIG.dinoX, BASE_Y, speed), false);
+});
+
+test('in lane mode a gate is fair only while some lane is open and reachable', () => {
+  const speed = CONFIG.baseSpeed;
+  const twoLanes = gate(CONFIG.spawnX, -1).concat(gate(CONFIG.spawnX, 0));
+  assert.equal(Sim.isLaneClearable(twoLanes, CONFIG.dinoX, BASE_Y, speed, 0), true);
+
+  const allLanes = twoLanes.concat(gate(CONFIG.spawnX, 1));
+  assert.equal(Sim.isLaneClearable(allLanes, CONFIG.dinoX, BASE_Y, speed, 0), false);
+
+  // Two lanes over, with no time left to get there
+  const close = gate(CONFIG.dinoX + 2, 0).concat(gate(CONFIG.dinoX + 2, 1));
+  assert.equal(Sim.isLaneClearable(close, CONFIG.dinoX, BASE_Y, speed, 1), false);
+});
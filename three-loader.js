@@ -0,0 +1,72 @@
+/**
+ * Three.js Loader
+ * Loads Three.js r128 once for every script on the page. The CDN copy is
+ * checked with Subresource Integrity; if it fails or is too slow, the
+ * self-hosted copy in vendor/ is tried before giving up.
+ */
+
+(function(root) {
+  'use strict';
+
+  // Both copies are the same r128 build, so one hash covers them
+  const INTEGRITY = 'sha512-dLxUelApnYxpLt6K2iomGngnHO83iUvZytA3YjDUCjT0HDOHKXnVYdf3hU4JjM8uEhxf9nD1/ey98U3t2vZ0qQ==';
+  const SOURCES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+    'vendor/three.min.js'
+  ];
+  // A CDN that hasn't answered by now counts as failed
+  const SOURCE_TIMEOUT_MS = 8000;
+
+  let loading = null;
+
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      const timer = setTimeout(() => reject(new Error('Timed out loading ' + src)), SOURCE_TIMEOUT_MS);
+
+      script.src = src;
+      script.integrity = INTEGRITY;
+      script.crossOrigin = 'anonymous';
+      script.onload = () => {
+        clearTimeout(timer);
+        if (typeof root.THREE !== 'undefined') {
+          resolve(root.THREE);
+        } else {
+          reject(new Error('Three.js did not define THREE from ' + src));
+        }
+      };
+      script.onerror = () => {
+        clearTimeout(timer);
+        reject(new Error('Could not load ' + src));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Resolve with THREE, loading it on the first call. Rejects once every
+   * source has failed; callers decide how to show that.
+   */
+  function load() {
+    if (loading) return loading;
+
+    if (typeof root.THREE !== 'undefined') {
+      loading = Promise.resolve(root.THREE);
+      return loading;
+    }
+
+    loading = SOURCES.reduce(
+      (previous, src) => previous.catch(() => loadScript(src)),
+      Promise.reject(new Error('Three.js is not loaded'))
+    ).then(THREE => {
+      // A CDN copy that turns up after the timeout must not replace the one in use
+      Object.defineProperty(root, 'THREE', { value: THREE, writable: false, configurable: true });
+      return THREE;
+    }, () => {
+      throw new Error('Three.js could not be loaded from the CDN or this site');
+    });
+    return loading;
+  }
+
+  root.SiteThree = { load };
+})(window);